@@ -17,4 +17,39 @@ if ( ! defined( 'ABSPATH' ) ) {
  *
  * @since 0.1.0
  */
-final class OD_Data_Validation_Exception extends Exception {}
+final class OD_Data_Validation_Exception extends Exception {
+
+	/**
+	 * Path to the invalid property, if known.
+	 *
+	 * @since n.e.x.t
+	 * @var non-empty-string|null
+	 */
+	private $param;
+
+	/**
+	 * Constructor.
+	 *
+	 * @since n.e.x.t
+	 *
+	 * @param string                $message  Exception message.
+	 * @param int                   $code     Exception code.
+	 * @param Throwable|null        $previous Previous exception.
+	 * @param non-empty-string|null $param    Path to the invalid property (e.g. `OD_URL_Metric[elements][0][xpath]`), if known.
+	 */
+	public function __construct( string $message = '', int $code = 0, ?Throwable $previous = null, ?string $param = null ) {
+		parent::__construct( $message, $code, $previous );
+		$this->param = $param;
+	}
+
+	/**
+	 * Gets the path to the invalid property.
+	 *
+	 * @since n.e.x.t
+	 *
+	 * @return non-empty-string|null Path to the invalid property (e.g. `OD_URL_Metric[elements][0][xpath]`), or null if not known.
+	 */
+	public function get_param(): ?string {
+		return $this->param;
+	}
+}
@@ -17,6 +17,7 @@ if ( ! defined( 'ABSPATH' ) ) {
  *
  * @phpstan-import-type ElementData from OD_URL_Metric
  * @phpstan-import-type DOMRect from OD_URL_Metric
+ * @phpstan-import-type ImageData from OD_URL_Metric
  * @implements ArrayAccess<key-of<ElementData>, ElementData[key-of<ElementData>]>
  * @todo The above implements tag should account for additional undefined keys which can be supplied by extending the element schema. May depend on <https://github.com/phpstan/phpstan/issues/8438>.
  *
@@ -162,6 +163,192 @@ class OD_Element implements ArrayAccess, JsonSerializable {
 		return $this->data['boundingClientRect'];
 	}
 
+	/**
+	 * Gets the cumulative score of the layout shifts in which the element was a source.
+	 *
+	 * Note that the value of each layout shift is apportioned to its sources according to the area of the viewport which
+	 * each impacted, since the value is not reported per source.
+	 *
+	 * @since n.e.x.t
+	 *
+	 * @return float Layout shift score, or zero if the element did not shift.
+	 */
+	public function get_layout_shift_score(): float {
+		return $this->data['layoutShiftScore'] ?? 0.0;
+	}
+
+	/**
+	 * Gets the rect for the element before the largest layout shift in which it was a source.
+	 *
+	 * Like the bounding client rect, this is relative to the document unless the element is fixed to
+	 * the viewport (i.e. it is fixed-positioned or in a stuck sticky-positioned container).
+	 *
+	 * @since n.e.x.t
+	 *
+	 * @phpstan-return DOMRect|null
+	 *
+	 * @return array|null Previous rect, or null if the element did not shift.
+	 */
+	public function get_layout_shift_previous_rect(): ?array {
+		return $this->data['layoutShiftPreviousRect'] ?? null;
+	}
+
+	/**
+	 * Gets the rect for the element after the largest layout shift in which it was a source.
+	 *
+	 * Like the bounding client rect, this is relative to the document unless the element is fixed to
+	 * the viewport (i.e. it is fixed-positioned or in a stuck sticky-positioned container).
+	 *
+	 * @since n.e.x.t
+	 *
+	 * @phpstan-return DOMRect|null
+	 *
+	 * @return array|null Current rect, or null if the element did not shift.
+	 */
+	public function get_layout_shift_current_rect(): ?array {
+		return $this->data['layoutShiftCurrentRect'] ?? null;
+	}
+
+	/**
+	 * Gets the URLs for the CSS background images of the element.
+	 *
+	 * These are only captured for elements in the initial viewport.
+	 *
+	 * @since n.e.x.t
+	 *
+	 * @return non-empty-string[] Background image URLs, or an empty array if the element has no background image.
+	 */
+	public function get_background_image_urls(): array {
+		return $this->data['backgroundImageUrls'] ?? array();
+	}
+
+	/**
+	 * Determines whether the URL of the LCP entry matches a background image of the element.
+	 *
+	 * This is useful for preloading background images which are the LCP, since LCP attribution for such elements is
+	 * unreliable.
+	 *
+	 * @since n.e.x.t
+	 *
+	 * @return bool Whether the background image is the LCP.
+	 */
+	public function is_background_image_lcp(): bool {
+		return $this->data['isBackgroundImageLCP'] ?? false;
+	}
+
+	/**
+	 * Gets the time when the element first became visible in the initial viewport.
+	 *
+	 * This is relative to the time origin of the page (i.e. navigation start). For an element which was visible when
+	 * detection started, this is the time of that initial observation rather than when it was first painted.
+	 *
+	 * @since n.e.x.t
+	 *
+	 * @return float|null First visible time in milliseconds, or null if the element never became visible in the initial viewport.
+	 */
+	public function get_first_visible_time(): ?float {
+		return $this->data['firstVisibleTime'] ?? null;
+	}
+
+	/**
+	 * Gets the maximum intersection ratio of the element with the initial viewport while it was visible.
+	 *
+	 * This can exceed the initial intersection ratio, for example when the element is a carousel slide which is shown
+	 * later or when it moves into the viewport with an entrance animation.
+	 *
+	 * @since n.e.x.t
+	 *
+	 * @return float Maximum intersection ratio, or the initial intersection ratio if not available.
+	 */
+	public function get_max_intersection_ratio(): float {
+		return $this->data['maxIntersectionRatio'] ?? $this->get_intersection_ratio();
+	}
+
+	/**
+	 * Determines whether the element was ever visible in the initial viewport before the first user interaction.
+	 *
+	 * @since n.e.x.t
+	 *
+	 * @return bool Whether visible before interaction, or whether initially intersecting if not available.
+	 */
+	public function is_visible_before_interaction(): bool {
+		return $this->data['isVisibleBeforeInteraction'] ?? $this->get_intersection_ratio() > 0.0;
+	}
+
+	/**
+	 * Gets the data for the image rendered by the element.
+	 *
+	 * This is present for an IMG, a PICTURE (via its IMG), or a VIDEO with a poster, once the image has loaded.
+	 *
+	 * @since n.e.x.t
+	 *
+	 * @phpstan-return ImageData|null
+	 *
+	 * @return array|null Image data, or null if the element does not render a loaded image.
+	 */
+	public function get_image(): ?array {
+		return $this->data['image'] ?? null;
+	}
+
+	/**
+	 * Gets the URL of the image source which was selected by the client (e.g. from the `srcset`).
+	 *
+	 * @since n.e.x.t
+	 *
+	 * @return non-empty-string|null Current image source, or null if the element does not render a loaded image.
+	 */
+	public function get_image_current_src(): ?string {
+		return $this->data['image']['currentSrc'] ?? null;
+	}
+
+	/**
+	 * Gets the intrinsic size of the image rendered by the element.
+	 *
+	 * @since n.e.x.t
+	 *
+	 * @return array{width: positive-int, height: positive-int}|null Natural size, or null if the element does not render a loaded image.
+	 */
+	public function get_image_natural_size(): ?array {
+		if ( ! isset( $this->data['image'] ) ) {
+			return null;
+		}
+		return array(
+			'width'  => $this->data['image']['naturalWidth'],
+			'height' => $this->data['image']['naturalHeight'],
+		);
+	}
+
+	/**
+	 * Gets the size in CSS pixels at which the image is rendered by the element.
+	 *
+	 * @since n.e.x.t
+	 *
+	 * @return array{width: float, height: float}|null Rendered size, or null if the element does not render a loaded image.
+	 */
+	public function get_image_rendered_size(): ?array {
+		if ( ! isset( $this->data['image'] ) ) {
+			return null;
+		}
+		return array(
+			'width'  => $this->data['image']['renderedWidth'],
+			'height' => $this->data['image']['renderedHeight'],
+		);
+	}
+
+	/**
+	 * Gets the device pixel ratio at the time the image data was captured.
+	 *
+	 * Multiplying the rendered width by this gives the width in device pixels which an image source should have to be
+	 * displayed sharply without being larger than needed.
+	 *
+	 * @since n.e.x.t
+	 *
+	 * @return float|null Device pixel ratio, or null if the element does not render a loaded image.
+	 */
+	public function get_image_device_pixel_ratio(): ?float {
+		return $this->data['image']['devicePixelRatio'] ?? null;
+	}
+
 	/**
 	 * Checks whether an offset exists.
 	 *
@@ -311,6 +311,7 @@ final class OD_URL_Metric_Group implements IteratorAggregate, Countable, JsonSer
 	 * Gets the LCP element in the viewport group.
 	 *
 	 * @since 0.3.0
+	 * @since n.e.x.t URL Metrics captured when the page was scrolled are excluded.
 	 *
 	 * @return OD_Element|null LCP element data or null if not available, either because there are no URL Metrics or
 	 *                          the LCP element type is not supported.
@@ -364,6 +365,14 @@ final class OD_URL_Metric_Group implements IteratorAggregate, Countable, JsonSer
 			}
 
 			foreach ( $url_metrics as $url_metric ) {
+				// Exclude URL Metrics captured when the page was not scrolled to the top, since the LCP was reported for the
+				// scrolled viewport rather than for the initial viewport. The client also does not flag any element as the
+				// LCP in this case, nor when the viewport was re-targeted after being resized.
+				$scroll_offset = $url_metric->get_scroll_offset();
+				if ( 0.0 !== (float) $scroll_offset['x'] || 0.0 !== (float) $scroll_offset['y'] ) {
+					continue;
+				}
+
 				foreach ( $url_metric->get_elements() as $element ) {
 					if ( ! $element->is_lcp() ) {
 						continue;
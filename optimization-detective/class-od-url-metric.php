@@ -29,6 +29,14 @@ if ( ! defined( 'ABSPATH' ) ) {
  *                                bottom: float,
  *                                left: float
  *                            }
+ * @phpstan-type ImageData    array{
+ *                                currentSrc: non-empty-string,
+ *                                naturalWidth: positive-int,
+ *                                naturalHeight: positive-int,
+ *                                renderedWidth: float,
+ *                                renderedHeight: float,
+ *                                devicePixelRatio: float
+ *                            }
  * @phpstan-type ElementData  array{
  *                                isLCP: bool,
  *                                isLCPCandidate: bool,
@@ -36,6 +44,61 @@ if ( ! defined( 'ABSPATH' ) ) {
  *                                intersectionRatio: float,
  *                                intersectionRect: DOMRect,
  *                                boundingClientRect: DOMRect,
+ *                                layoutShiftScore?: float,
+ *                                layoutShiftPreviousRect?: DOMRect,
+ *                                layoutShiftCurrentRect?: DOMRect,
+ *                                backgroundImageUrls?: non-empty-string[],
+ *                                isBackgroundImageLCP?: bool,
+ *                                firstVisibleTime?: float|null,
+ *                                maxIntersectionRatio?: float,
+ *                                isVisibleBeforeInteraction?: bool,
+ *                                image?: ImageData,
+ *                            }
+ * @phpstan-type ScrollOffset array{
+ *                                x: float,
+ *                                y: float
+ *                            }
+ * @phpstan-type DeviceData   array{
+ *                                pixelRatio: float,
+ *                                memory?: float,
+ *                                hardwareConcurrency?: positive-int,
+ *                                prefersReducedMotion: bool,
+ *                                prefersColorScheme: 'light'|'dark'
+ *                            }
+ * @phpstan-type NetworkData  array{
+ *                                effectiveType?: 'slow-2g'|'2g'|'3g'|'4g',
+ *                                saveData?: bool
+ *                            }
+ * @phpstan-type FontData     array{
+ *                                family: non-empty-string,
+ *                                weight: non-empty-string,
+ *                                style: non-empty-string,
+ *                                url: non-empty-string|null,
+ *                                blockedTextRendering: bool
+ *                            }
+ * @phpstan-type LoAFData     array{
+ *                                count: int<0, max>,
+ *                                frames: array<array{
+ *                                    startTime: float,
+ *                                    duration: float,
+ *                                    blockingDuration: float
+ *                                }>,
+ *                                scripts: array<array{
+ *                                    url: non-empty-string,
+ *                                    invokerTypes: non-empty-string[],
+ *                                    count: positive-int,
+ *                                    duration: float
+ *                                }>
+ *                            }
+ * @phpstan-type LCPData      array{
+ *                                value: float,
+ *                                timeToFirstByte: float,
+ *                                resourceLoadDelay: float,
+ *                                resourceLoadDuration: float,
+ *                                elementRenderDelay: float,
+ *                                url: non-empty-string|null,
+ *                                initiatorType: non-empty-string|null,
+ *                                isPreloaded: bool
  *                            }
  * @phpstan-type Data         array{
  *                                uuid: non-empty-string,
@@ -43,7 +106,14 @@ if ( ! defined( 'ABSPATH' ) ) {
  *                                url: non-empty-string,
  *                                timestamp: float,
  *                                viewport: ViewportRect,
- *                                elements: ElementData[]
+ *                                scrollOffset?: ScrollOffset,
+ *                                device?: DeviceData,
+ *                                network?: NetworkData,
+ *                                elements: ElementData[],
+ *                                lcp?: LCPData,
+ *                                truncated?: bool,
+ *                                fonts?: FontData[],
+ *                                longAnimationFrames?: LoAFData
  *                            }
  * @phpstan-type JSONSchema   array{
  *                                type: string|string[],
@@ -52,8 +122,10 @@ if ( ! defined( 'ABSPATH' ) ) {
  *                                patternProperties?: array<string, mixed>,
  *                                required?: bool,
  *                                minimum?: int,
+ *                                exclusiveMinimum?: bool,
  *                                maximum?: int,
  *                                pattern?: non-empty-string,
+ *                                enum?: non-empty-array<string>,
  *                                additionalProperties?: bool,
  *                                format?: non-empty-string,
  *                                readonly?: bool,
@@ -119,7 +191,13 @@ class OD_URL_Metric implements JsonSerializable {
 		$schema = static::get_json_schema();
 		$valid  = rest_validate_object_value_from_schema( $data, $schema, self::class );
 		if ( is_wp_error( $valid ) ) {
-			throw new OD_Data_Validation_Exception( esc_html( $valid->get_error_message() ) );
+			$error_data = $valid->get_error_data();
+			throw new OD_Data_Validation_Exception(
+				esc_html( $valid->get_error_message() ),
+				0,
+				null,
+				isset( $error_data['param'] ) && is_string( $error_data['param'] ) && '' !== $error_data['param'] ? $error_data['param'] : null
+			);
 		}
 		$aspect_ratio     = $data['viewport']['width'] / $data['viewport']['height'];
 		$min_aspect_ratio = od_get_minimum_viewport_aspect_ratio();
@@ -138,7 +216,10 @@ class OD_URL_Metric implements JsonSerializable {
 						$max_aspect_ratio,
 						$data['viewport']['width'] . 'x' . $data['viewport']['height']
 					)
-				)
+				),
+				0,
+				null,
+				self::class . '[viewport]'
 			);
 		}
 		return rest_sanitize_value_from_schema( $data, $schema, self::class );
@@ -178,6 +259,16 @@ class OD_URL_Metric implements JsonSerializable {
 	 * @since 0.1.0
 	 * @since 0.9.0 Added the 'etag' property to the schema.
 	 * @since 1.0.0 The 'etag' property is now required.
+	 * @since n.e.x.t Added the 'layoutShiftScore', 'layoutShiftPreviousRect', and 'layoutShiftCurrentRect' element properties, which extensions can no longer add.
+	 * @since n.e.x.t Added the 'lcp' root property, which extensions can no longer add.
+	 * @since n.e.x.t Added the 'scrollOffset' root property, which extensions can no longer add.
+	 * @since n.e.x.t Added the 'backgroundImageUrls' and 'isBackgroundImageLCP' element properties, which extensions can no longer add.
+	 * @since n.e.x.t Added the 'device' and 'network' root properties, which extensions can no longer add.
+	 * @since n.e.x.t Added the 'truncated' root property, which extensions can no longer add.
+	 * @since n.e.x.t Added the 'firstVisibleTime', 'maxIntersectionRatio', and 'isVisibleBeforeInteraction' element properties, which extensions can no longer add.
+	 * @since n.e.x.t Added the 'image' element property, which extensions can no longer add.
+	 * @since n.e.x.t Added the 'fonts' root property, which extensions can no longer add.
+	 * @since n.e.x.t Added the 'longAnimationFrames' root property, which extensions can no longer add.
 	 * @access private
 	 *
 	 * @todo Cache the return value?
@@ -225,14 +316,14 @@ class OD_URL_Metric implements JsonSerializable {
 			'type'                 => 'object',
 			'required'             => true,
 			'properties'           => array(
-				'uuid'      => array(
+				'uuid'                => array(
 					'description' => __( 'The UUID for the URL Metric.', 'optimization-detective' ),
 					'type'        => 'string',
 					'format'      => 'uuid',
 					'required'    => true,
 					'readonly'    => true, // Omit from REST API.
 				),
-				'etag'      => array(
+				'etag'                => array(
 					'description' => __( 'The ETag for the URL Metric.', 'optimization-detective' ),
 					'type'        => 'string',
 					'pattern'     => '^[0-9a-f]{32}\z',
@@ -241,14 +332,14 @@ class OD_URL_Metric implements JsonSerializable {
 					'required'    => true,
 					'readonly'    => true, // Omit from REST API.
 				),
-				'url'       => array(
+				'url'                 => array(
 					'description' => __( 'The URL for which the metric was obtained.', 'optimization-detective' ),
 					'type'        => 'string',
 					'required'    => true,
 					'format'      => 'uri',
 					'pattern'     => '^https?://',
 				),
-				'viewport'  => array(
+				'viewport'            => array(
 					'description'          => __( 'Viewport dimensions', 'optimization-detective' ),
 					'type'                 => 'object',
 					'required'             => true,
@@ -266,14 +357,85 @@ class OD_URL_Metric implements JsonSerializable {
 					),
 					'additionalProperties' => false,
 				),
-				'timestamp' => array(
+				// The scroll offset is optional since URL Metrics were previously only collected when the page was scrolled to the top.
+				'scrollOffset'        => array(
+					'description'          => __( 'Scroll offset of the page when the URL Metric was captured', 'optimization-detective' ),
+					'type'                 => 'object',
+					'required'             => false,
+					'properties'           => array(
+						'x' => array(
+							'type'     => 'number',
+							'required' => true,
+						),
+						'y' => array(
+							'type'     => 'number',
+							'required' => true,
+						),
+					),
+					'additionalProperties' => false,
+				),
+				// The device and network are optional since URL Metrics were previously collected without them.
+				'device'              => array(
+					'description'          => __( 'Device on which the URL Metric was captured', 'optimization-detective' ),
+					'type'                 => 'object',
+					'required'             => false,
+					'properties'           => array(
+						'pixelRatio'           => array(
+							'type'             => 'number',
+							'required'         => true,
+							'minimum'          => 0,
+							'exclusiveMinimum' => true,
+						),
+						// The Device Memory API is not available in all browsers.
+						'memory'               => array(
+							'type'             => 'number',
+							'required'         => false,
+							'minimum'          => 0,
+							'exclusiveMinimum' => true,
+						),
+						'hardwareConcurrency'  => array(
+							'type'     => 'integer',
+							'required' => false,
+							'minimum'  => 1,
+						),
+						'prefersReducedMotion' => array(
+							'type'     => 'boolean',
+							'required' => true,
+						),
+						'prefersColorScheme'   => array(
+							'type'     => 'string',
+							'required' => true,
+							'enum'     => array( 'light', 'dark' ),
+						),
+					),
+					'additionalProperties' => false,
+				),
+				// The Network Information API is not available in all browsers, in which case its properties are omitted.
+				'network'             => array(
+					'description'          => __( 'Network over which the URL Metric was captured', 'optimization-detective' ),
+					'type'                 => 'object',
+					'required'             => false,
+					'properties'           => array(
+						'effectiveType' => array(
+							'type'     => 'string',
+							'required' => false,
+							'enum'     => array( 'slow-2g', '2g', '3g', '4g' ),
+						),
+						'saveData'      => array(
+							'type'     => 'boolean',
+							'required' => false,
+						),
+					),
+					'additionalProperties' => false,
+				),
+				'timestamp'           => array(
 					'description' => __( 'Timestamp at which the URL Metric was captured.', 'optimization-detective' ),
 					'type'        => 'number',
 					'required'    => true,
 					'readonly'    => true, // Omit from REST API.
 					'minimum'     => 0,
 				),
-				'elements'  => array(
+				'elements'            => array(
 					'description' => __( 'Element metrics', 'optimization-detective' ),
 					'type'        => 'array',
 					'required'    => true,
@@ -282,27 +444,107 @@ class OD_URL_Metric implements JsonSerializable {
 						'type'                 => 'object',
 						'required'             => true,
 						'properties'           => array(
-							'isLCP'              => array(
+							'isLCP'                      => array(
 								'type'     => 'boolean',
 								'required' => true,
 							),
-							'isLCPCandidate'     => array(
+							'isLCPCandidate'             => array(
 								'type'     => 'boolean',
 								'required' => true,
 							),
-							'xpath'              => array(
+							'xpath'                      => array(
 								'type'     => 'string',
 								'required' => true,
 								'pattern'  => OD_HTML_Tag_Processor::XPATH_PATTERN,
 							),
-							'intersectionRatio'  => array(
+							'intersectionRatio'          => array(
 								'type'     => 'number',
 								'required' => true,
 								'minimum'  => 0.0,
 								'maximum'  => 1.0,
 							),
-							'intersectionRect'   => $dom_rect_schema,
-							'boundingClientRect' => $dom_rect_schema,
+							'intersectionRect'           => $dom_rect_schema,
+							'boundingClientRect'         => $dom_rect_schema,
+
+							// The layout shift properties are optional since they are only present for elements which shifted.
+							'layoutShiftScore'           => array(
+								'type'     => 'number',
+								'required' => false,
+								'minimum'  => 0.0,
+							),
+							'layoutShiftPreviousRect'    => array_merge( $dom_rect_schema, array( 'required' => false ) ),
+							'layoutShiftCurrentRect'     => array_merge( $dom_rect_schema, array( 'required' => false ) ),
+
+							// The background image properties are optional since they are only present for elements in the initial viewport which have a CSS background image.
+							'backgroundImageUrls'        => array(
+								'type'     => 'array',
+								'required' => false,
+								'items'    => array(
+									'type'   => 'string',
+									'format' => 'uri',
+								),
+							),
+							'isBackgroundImageLCP'       => array(
+								'type'     => 'boolean',
+								'required' => false,
+							),
+
+							// The visibility timeline properties are optional since URL Metrics collected by earlier versions lack them.
+							'firstVisibleTime'           => array(
+								'type'     => array( 'number', 'null' ),
+								'required' => false,
+								'minimum'  => 0.0,
+							),
+							'maxIntersectionRatio'       => array(
+								'type'     => 'number',
+								'required' => false,
+								'minimum'  => 0.0,
+								'maximum'  => 1.0,
+							),
+							'isVisibleBeforeInteraction' => array(
+								'type'     => 'boolean',
+								'required' => false,
+							),
+
+							// The image properties are optional since they are only present for elements which render a loaded image (IMG, PICTURE, or the poster of a VIDEO).
+							'image'                      => array(
+								'type'                 => 'object',
+								'required'             => false,
+								'properties'           => array(
+									'currentSrc'       => array(
+										'type'     => 'string',
+										'required' => true,
+										'format'   => 'uri',
+									),
+									'naturalWidth'     => array(
+										'type'     => 'integer',
+										'required' => true,
+										'minimum'  => 1,
+									),
+									'naturalHeight'    => array(
+										'type'     => 'integer',
+										'required' => true,
+										'minimum'  => 1,
+									),
+									'renderedWidth'    => array(
+										'type'     => 'number',
+										'required' => true,
+										'minimum'  => 0,
+									),
+									'renderedHeight'   => array(
+										'type'     => 'number',
+										'required' => true,
+										'minimum'  => 0,
+									),
+									'devicePixelRatio' => array(
+										'type'             => 'number',
+										'required'         => true,
+										'minimum'          => 0,
+										'exclusiveMinimum' => true,
+									),
+								),
+								'additionalProperties' => false,
+							),
 						),
 
 						// Additional properties may be added to the schema for items of elements via the od_url_metric_schema_element_item_additional_properties filter.
@@ -310,6 +552,144 @@ class OD_URL_Metric implements JsonSerializable {
 						'additionalProperties' => true,
 					),
 				),
+
+				// The LCP data is optional since the LCP may not have been reported by the time the URL Metric is submitted. The resource details are null when the LCP element is not in the initial viewport.
+				'lcp'                 => array(
+					'description'          => __( 'Largest Contentful Paint timing breakdown and resource details', 'optimization-detective' ),
+					'type'                 => 'object',
+					'required'             => false,
+					'properties'           => array_merge(
+						array_fill_keys(
+							array(
+								'value',
+								'timeToFirstByte',
+								'resourceLoadDelay',
+								'resourceLoadDuration',
+								'elementRenderDelay',
+							),
+							array(
+								'type'     => 'number',
+								'required' => true,
+								'minimum'  => 0.0,
+							)
+						),
+						array(
+							'url'           => array(
+								'type'     => array( 'string', 'null' ),
+								'required' => true,
+							),
+							'initiatorType' => array(
+								'type'     => array( 'string', 'null' ),
+								'required' => true,
+							),
+							'isPreloaded'   => array(
+								'type'     => 'boolean',
+								'required' => true,
+							),
+						)
+					),
+					'additionalProperties' => false,
+				),
+				'truncated'           => array(
+					'description' => __( 'Whether lower-value data was dropped from the URL Metric so that it could be submitted', 'optimization-detective' ),
+					'type'        => 'boolean',
+					'required'    => false,
+				),
+				'fonts'               => array(
+					'description' => __( 'Web fonts which were loaded and used by the breadcrumbed elements in the initial viewport', 'optimization-detective' ),
+					'type'        => 'array',
+					'required'    => false,
+					'items'       => array(
+						'type'                 => 'object',
+						'properties'           => array(
+							'family'               => array(
+								'type'      => 'string',
+								'required'  => true,
+								'minLength' => 1,
+							),
+							'weight'               => array(
+								'type'      => 'string',
+								'required'  => true,
+								'minLength' => 1,
+							),
+							'style'                => array(
+								'type'      => 'string',
+								'required'  => true,
+								'minLength' => 1,
+							),
+							'url'                  => array(
+								'type'     => array( 'string', 'null' ),
+								'required' => true,
+							),
+							'blockedTextRendering' => array(
+								'type'     => 'boolean',
+								'required' => true,
+							),
+						),
+						'additionalProperties' => false,
+					),
+				),
+				'longAnimationFrames' => array(
+					'description'          => __( 'Worst long animation frames up to the time of submission, with the scripts which ran during them aggregated by URL', 'optimization-detective' ),
+					'type'                 => 'object',
+					'required'             => false,
+					'properties'           => array(
+						'count'   => array(
+							'type'     => 'integer',
+							'required' => true,
+							'minimum'  => 0,
+						),
+						'frames'  => array(
+							'type'     => 'array',
+							'required' => true,
+							'items'    => array(
+								'type'                 => 'object',
+								'properties'           => array_fill_keys(
+									array( 'startTime', 'duration', 'blockingDuration' ),
+									array(
+										'type'     => 'number',
+										'required' => true,
+										'minimum'  => 0,
+									)
+								),
+								'additionalProperties' => false,
+							),
+						),
+						'scripts' => array(
+							'type'     => 'array',
+							'required' => true,
+							'items'    => array(
+								'type'                 => 'object',
+								'properties'           => array(
+									'url'          => array(
+										'type'     => 'string',
+										'required' => true,
+										'format'   => 'uri',
+									),
+									'invokerTypes' => array(
+										'type'     => 'array',
+										'required' => true,
+										'items'    => array(
+											'type' => 'string',
+										),
+									),
+									'count'        => array(
+										'type'     => 'integer',
+										'required' => true,
+										'minimum'  => 1,
+									),
+									'duration'     => array(
+										'type'     => 'number',
+										'required' => true,
+										'minimum'  => 0,
+									),
+								),
+								'additionalProperties' => false,
+							),
+						),
+					),
+					'additionalProperties' => false,
+				),
 			),
 			// Additional root properties may be added to the schema via the od_url_metric_schema_root_additional_properties filter.
 			// Therefore, `additionalProperties` is set to true so that additional properties defined in the extended schema may persist
@@ -496,6 +876,75 @@ class OD_URL_Metric implements JsonSerializable {
 		return $this->data['viewport']['width'];
 	}
 
+	/**
+	 * Gets the scroll offset of the page when the URL Metric was captured.
+	 *
+	 * When the page was not scrolled to the top, the element rects were made relative to the document. URL Metrics
+	 * stored before the scroll offset was captured were always collected at the top of the page.
+	 *
+	 * @since n.e.x.t
+	 *
+	 * @return ScrollOffset Scroll offset.
+	 */
+	public function get_scroll_offset(): array {
+		return $this->data['scrollOffset'] ?? array(
+			'x' => 0.0,
+			'y' => 0.0,
+		);
+	}
+
+	/**
+	 * Gets the device on which the URL Metric was captured.
+	 *
+	 * @since n.e.x.t
+	 *
+	 * @return DeviceData|null Device data, or null if the URL Metric was stored before the device was captured.
+	 */
+	public function get_device(): ?array {
+		return $this->data['device'] ?? null;
+	}
+
+	/**
+	 * Gets the network over which the URL Metric was captured.
+	 *
+	 * @since n.e.x.t
+	 *
+	 * @return NetworkData|null Network data, or null if the URL Metric was stored before the network was captured.
+	 */
+	public function get_network(): ?array {
+		return $this->data['network'] ?? null;
+	}
+
+	/**
+	 * Gets the web fonts which were loaded and used by the breadcrumbed elements in the initial viewport.
+	 *
+	 * Each font includes its family, weight, and style descriptors, the URL for its source when it could be determined
+	 * from a same-origin stylesheet, and whether it blocked text rendering while loading (due to its `font-display`).
+	 * This is useful for preloading the fonts which are actually needed to render the initial viewport.
+	 *
+	 * @since n.e.x.t
+	 *
+	 * @return FontData[] Font data, or an empty array if no web fonts were used or the URL Metric was stored before fonts were captured.
+	 */
+	public function get_fonts(): array {
+		return $this->data['fonts'] ?? array();
+	}
+
+	/**
+	 * Gets the worst long animation frames which occurred up to the time the URL Metric was submitted.
+	 *
+	 * This includes the total number of long animation frames, the timings for the worst frames, and the scripts which
+	 * ran during them aggregated by URL along with how they were invoked. It is only present when the collection of long
+	 * animation frames is enabled via the `od_collect_long_animation_frames` filter and the client supports it.
+	 *
+	 * @since n.e.x.t
+	 *
+	 * @return LoAFData|null Long animation frame data, or null if not collected.
+	 */
+	public function get_long_animation_frames(): ?array {
+		return $this->data['longAnimationFrames'] ?? null;
+	}
+
 	/**
 	 * Gets timestamp.
 	 *
@@ -507,6 +956,34 @@ class OD_URL_Metric implements JsonSerializable {
 		return $this->data['timestamp'];
 	}
 
+	/**
+	 * Gets the Largest Contentful Paint timing breakdown and resource details.
+	 *
+	 * Note that the details about the LCP resource are null (or false) when the LCP element was not in the initial viewport.
+	 *
+	 * @since n.e.x.t
+	 *
+	 * @return LCPData|null LCP data, or null if it was not captured.
+	 */
+	public function get_lcp(): ?array {
+		return $this->data['lcp'] ?? null;
+	}
+
+	/**
+	 * Determines whether the URL Metric was truncated.
+	 *
+	 * When a URL Metric is too large to be submitted, lower-value data is dropped until it fits: first the elements which
+	 * are not in the initial viewport, then the elements which are not LCP candidates, and then properties added by
+	 * extensions which declared trim priorities.
+	 *
+	 * @since n.e.x.t
+	 *
+	 * @return bool Whether truncated.
+	 */
+	public function is_truncated(): bool {
+		return $this->data['truncated'] ?? false;
+	}
+
 	/**
 	 * Gets elements.
 	 *
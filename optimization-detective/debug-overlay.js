@@ -0,0 +1,358 @@
+/**
+ * @typedef {import("./types.ts").URLMetric} URLMetric
+ * @typedef {import("./types.ts").URLMetricGroupStatus} URLMetricGroupStatus
+ * @typedef {import("./types.ts").DebugOverlay} DebugOverlay
+ */
+
+/**
+ * Window reference to reduce size when the script is minified.
+ *
+ * @type {Window}
+ */
+const win = window;
+
+/**
+ * Document reference to reduce size when the script is minified.
+ *
+ * @type {Document}
+ */
+const doc = win.document;
+
+/**
+ * Stored URL Metric as exported in the URL Metric group collection when in debug mode.
+ *
+ * @typedef {Object}           StoredUrlMetricDebugData
+ * @property {number}          timestamp - Timestamp in seconds.
+ * @property {{width: number}} viewport  - Viewport.
+ */
+
+/**
+ * URL Metric group as exported in the URL Metric group collection when in debug mode.
+ *
+ * @typedef {Object}                     GroupDebugData
+ * @property {number}                    minimum_viewport_width - Minimum viewport width (exclusive).
+ * @property {number|null}               maximum_viewport_width - Maximum viewport width (inclusive).
+ * @property {boolean}                   complete               - Whether the group is complete.
+ * @property {StoredUrlMetricDebugData[]} url_metrics            - Stored URL Metrics.
+ */
+
+/**
+ * Args for creating the debug overlay.
+ *
+ * @typedef {Object}                            DebugOverlayArgs
+ * @property {{groups: GroupDebugData[]}|undefined} urlMetricGroupCollection - URL Metric group collection.
+ */
+
+/**
+ * Styles for the debug overlay, which are encapsulated in a shadow root.
+ *
+ * @type {string}
+ */
+const styles = `
+	:host {
+		all: initial;
+	}
+	.box {
+		position: absolute;
+		box-sizing: border-box;
+		pointer-events: none;
+		outline: 2px dotted #2271b1;
+		z-index: 2147483646;
+	}
+	.box.lcp-candidate {
+		outline: 2px dashed #dba617;
+	}
+	.box.lcp {
+		outline: 3px solid #d63638;
+	}
+	.box.outside-initial-viewport {
+		outline-color: #a7aaad;
+	}
+	.label {
+		position: absolute;
+		top: 0;
+		left: 0;
+		max-width: 100%;
+		overflow: hidden;
+		padding: 1px 3px;
+		background: rgba( 0, 0, 0, 0.75 );
+		color: #fff;
+		font: 10px/1.4 monospace;
+		white-space: nowrap;
+		text-overflow: ellipsis;
+	}
+	.panel {
+		position: fixed;
+		right: 8px;
+		bottom: 8px;
+		max-width: min( 360px, calc( 100vw - 16px ) );
+		max-height: 40vh;
+		overflow: auto;
+		padding: 8px 12px;
+		background: rgba( 0, 0, 0, 0.85 );
+		color: #fff;
+		font: 12px/1.5 sans-serif;
+		border-radius: 4px;
+		z-index: 2147483647;
+	}
+	.panel h2 {
+		margin: 0 0 4px;
+		font-size: 13px;
+	}
+	.panel ul {
+		margin: 4px 0 0;
+		padding-left: 16px;
+	}
+	.panel button {
+		float: right;
+		margin-left: 8px;
+		cursor: pointer;
+	}
+`;
+
+/**
+ * Formats the age of a stored URL Metric.
+ *
+ * @param {number} timestamp - Timestamp in seconds.
+ * @return {string} Age.
+ */
+function formatAge( timestamp ) {
+	const seconds = Math.round( Date.now() / 1000 - timestamp );
+	const relativeTimeFormat = new Intl.RelativeTimeFormat( undefined, {
+		numeric: 'auto',
+	} );
+	/** @type {Array<[Intl.RelativeTimeFormatUnit, number]>} */
+	const units = [
+		[ 'day', 86400 ],
+		[ 'hour', 3600 ],
+		[ 'minute', 60 ],
+	];
+	for ( const [ unit, unitSeconds ] of units ) {
+		if ( seconds >= unitSeconds ) {
+			return relativeTimeFormat.format(
+				-Math.floor( seconds / unitSeconds ),
+				unit
+			);
+		}
+	}
+	return relativeTimeFormat.format( -seconds, 'second' );
+}
+
+/**
+ * Creates an element with the provided class name and text.
+ *
+ * @param {string} tagName     - Tag name.
+ * @param {string} [className] - Class name.
+ * @param {string} [text]      - Text content.
+ * @return {HTMLElement} Element.
+ */
+function createElement( tagName, className, text ) {
+	const element = doc.createElement( tagName );
+	if ( className ) {
+		element.className = className;
+	}
+	if ( text ) {
+		element.textContent = text;
+	}
+	return element;
+}
+
+/**
+ * Creates the debug overlay which visualizes the detection results.
+ *
+ * The overlay outlines each breadcrumbed element with its XPath, highlighting the LCP element and the LCP candidates,
+ * and it shows a panel with the current viewport group along with the URL Metrics stored for it.
+ *
+ * @param {DebugOverlayArgs} args - Args.
+ * @return {DebugOverlay} Debug overlay.
+ */
+export default function createDebugOverlay( { urlMetricGroupCollection } ) {
+	const host = doc.createElement( 'optimization-detective-debug-overlay' );
+	const shadowRoot = host.attachShadow( { mode: 'open' } );
+	shadowRoot.appendChild( createElement( 'style', '', styles ) );
+	const boxesContainer = createElement( 'div' );
+	const panel = createElement( 'div', 'panel' );
+	shadowRoot.append( boxesContainer, panel );
+	doc.body.appendChild( host );
+
+	/** @type {?URLMetricGroupStatus} */
+	let currentGroupStatus = null;
+
+	/** @type {?URLMetric} */
+	let currentUrlMetric = null;
+
+	/**
+	 * Renders the outlines for the breadcrumbed elements.
+	 */
+	const renderBoxes = () => {
+		boxesContainer.replaceChildren();
+		if ( ! currentUrlMetric ) {
+			return;
+		}
+
+		/** @type {Map<string, Element>} */
+		const elementsByXPath = new Map();
+		for ( const element of doc.body.querySelectorAll(
+			'[data-od-xpath]'
+		) ) {
+			elementsByXPath.set(
+				element.getAttribute( 'data-od-xpath' ),
+				element
+			);
+		}
+
+		for ( const elementData of currentUrlMetric.elements ) {
+			const element = elementsByXPath.get( elementData.xpath );
+			if ( ! element ) {
+				continue;
+			}
+			const rect = element.getBoundingClientRect();
+			const box = createElement( 'div', 'box' );
+			if ( elementData.isLCP ) {
+				box.classList.add( 'lcp' );
+			} else if ( elementData.isLCPCandidate ) {
+				box.classList.add( 'lcp-candidate' );
+			}
+			if ( elementData.intersectionRatio === 0 ) {
+				box.classList.add( 'outside-initial-viewport' );
+			}
+			box.style.top = `${ rect.top + win.scrollY }px`;
+			box.style.left = `${ rect.left + win.scrollX }px`;
+			box.style.width = `${ rect.width }px`;
+			box.style.height = `${ rect.height }px`;
+
+			let label = elementData.xpath;
+			if ( elementData.isLCP ) {
+				label = `LCP: ${ label }`;
+			} else if ( elementData.isLCPCandidate ) {
+				label = `LCP candidate: ${ label }`;
+			}
+			box.title = label;
+			box.appendChild( createElement( 'span', 'label', label ) );
+			boxesContainer.appendChild( box );
+		}
+	};
+
+	/**
+	 * Renders the panel with the viewport group and its stored URL Metrics.
+	 */
+	const renderPanel = () => {
+		panel.replaceChildren();
+		const closeButton = createElement( 'button', '', '×' );
+		closeButton.setAttribute( 'aria-label', 'Close' );
+		closeButton.addEventListener( 'click', () => {
+			remove();
+		} );
+		panel.append(
+			closeButton,
+			createElement( 'h2', '', 'Optimization Detective' )
+		);
+		if ( ! currentGroupStatus ) {
+			return;
+		}
+
+		const { minimumViewportWidth, maximumViewportWidth, complete } =
+			currentGroupStatus;
+		panel.append(
+			createElement(
+				'div',
+				'',
+				`Viewport group: ${ minimumViewportWidth } < width ≤ ${
+					maximumViewportWidth ?? '∞'
+				} (current width: ${ win.innerWidth })`
+			),
+			createElement(
+				'div',
+				'',
+				`Status: ${ complete ? 'complete' : 'incomplete' }`
+			)
+		);
+
+		const lcpElementData = currentUrlMetric?.elements.find(
+			( elementData ) => elementData.isLCP
+		);
+		if ( lcpElementData ) {
+			panel.append(
+				createElement( 'div', '', `LCP: ${ lcpElementData.xpath }` )
+			);
+		}
+
+		const group = urlMetricGroupCollection?.groups.find(
+			( { minimum_viewport_width: minimumWidth } ) =>
+				minimumWidth === minimumViewportWidth
+		);
+		const storedUrlMetrics = [ ...( group?.url_metrics ?? [] ) ].sort(
+			( a, b ) => b.timestamp - a.timestamp
+		);
+		panel.append(
+			createElement(
+				'div',
+				'',
+				`Stored URL Metrics: ${ storedUrlMetrics.length }`
+			)
+		);
+		if ( storedUrlMetrics.length > 0 ) {
+			const list = createElement( 'ul' );
+			for ( const storedUrlMetric of storedUrlMetrics ) {
+				list.appendChild(
+					createElement(
+						'li',
+						'',
+						`${ formatAge( storedUrlMetric.timestamp ) } (width: ${
+							storedUrlMetric.viewport.width
+						})`
+					)
+				);
+			}
+			panel.appendChild( list );
+		}
+	};
+
+	/** @type {?number} */
+	let animationFrame = null;
+
+	/**
+	 * Schedules rendering the overlay in the next animation frame.
+	 */
+	const scheduleRender = () => {
+		if ( null !== animationFrame ) {
+			return;
+		}
+		animationFrame = win.requestAnimationFrame( () => {
+			animationFrame = null;
+			renderBoxes();
+			renderPanel();
+		} );
+	};
+
+	// The outlines are positioned relative to the document, so they only need to be re-rendered when the layout changes.
+	win.addEventListener( 'resize', scheduleRender, { passive: true } );
+
+	/** @type {boolean} */
+	let isRemoved = false;
+
+	/**
+	 * Removes the overlay, including its listeners and any pending render, whether closed by the user or by detection.
+	 */
+	function remove() {
+		isRemoved = true;
+		win.removeEventListener( 'resize', scheduleRender );
+		if ( null !== animationFrame ) {
+			win.cancelAnimationFrame( animationFrame );
+			animationFrame = null;
+		}
+		host.remove();
+	}
+
+	return {
+		update( urlMetricGroupStatus, urlMetric ) {
+			if ( isRemoved ) {
+				return;
+			}
+			currentGroupStatus = urlMetricGroupStatus;
+			currentUrlMetric = urlMetric;
+			scheduleRender();
+		},
+		remove,
+	};
+}
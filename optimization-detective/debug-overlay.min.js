@@ -0,0 +1 @@
+const win=window,doc=win.document,styles="\n\t:host {\n\t\tall: initial;\n\t}\n\t.box {\n\t\tposition: absolute;\n\t\tbox-sizing: border-box;\n\t\tpointer-events: none;\n\t\toutline: 2px dotted #2271b1;\n\t\tz-index: 2147483646;\n\t}\n\t.box.lcp-candidate {\n\t\toutline: 2px dashed #dba617;\n\t}\n\t.box.lcp {\n\t\toutline: 3px solid #d63638;\n\t}\n\t.box.outside-initial-viewport {\n\t\toutline-color: #a7aaad;\n\t}\n\t.label {\n\t\tposition: absolute;\n\t\ttop: 0;\n\t\tleft: 0;\n\t\tmax-width: 100%;\n\t\toverflow: hidden;\n\t\tpadding: 1px 3px;\n\t\tbackground: rgba( 0, 0, 0, 0.75 );\n\t\tcolor: #fff;\n\t\tfont: 10px/1.4 monospace;\n\t\twhite-space: nowrap;\n\t\ttext-overflow: ellipsis;\n\t}\n\t.panel {\n\t\tposition: fixed;\n\t\tright: 8px;\n\t\tbottom: 8px;\n\t\tmax-width: min( 360px, calc( 100vw - 16px ) );\n\t\tmax-height: 40vh;\n\t\toverflow: auto;\n\t\tpadding: 8px 12px;\n\t\tbackground: rgba( 0, 0, 0, 0.85 );\n\t\tcolor: #fff;\n\t\tfont: 12px/1.5 sans-serif;\n\t\tborder-radius: 4px;\n\t\tz-index: 2147483647;\n\t}\n\t.panel h2 {\n\t\tmargin: 0 0 4px;\n\t\tfont-size: 13px;\n\t}\n\t.panel ul {\n\t\tmargin: 4px 0 0;\n\t\tpadding-left: 16px;\n\t}\n\t.panel button {\n\t\tfloat: right;\n\t\tmargin-left: 8px;\n\t\tcursor: pointer;\n\t}\n";function formatAge(t){const e=Math.round(Date.now()/1e3-t),n=new Intl.RelativeTimeFormat(void 0,{numeric:"auto"}),i=[["day",86400],["hour",3600],["minute",60]];for(const[t,o]of i)if(e>=o)return n.format(-Math.floor(e/o),t);return n.format(-e,"second")}function createElement(t,e,n){const i=doc.createElement(t);return e&&(i.className=e),n&&(i.textContent=n),i}export default function createDebugOverlay({urlMetricGroupCollection:t}){const e=doc.createElement("optimization-detective-debug-overlay"),n=e.attachShadow({mode:"open"});n.appendChild(createElement("style","",styles));const i=createElement("div"),o=createElement("div","panel");n.append(i,o),doc.body.appendChild(e);let a=null,l=null;let r=null;const d=()=>{null===r&&(r=win.requestAnimationFrame((()=>{r=null,(()=>{if(i.replaceChildren(),!l)return;const t=new Map;for(const e of doc.body.querySelectorAll("[data-od-xpath]"))t.set(e.getAttribute("data-od-xpath"),e);for(const e of l.elements){const n=t.get(e.xpath);if(!n)continue;const o=n.getBoundingClientRect(),a=createElement("div","box");e.isLCP?a.classList.add("lcp"):e.isLCPCandidate&&a.classList.add("lcp-candidate"),0===e.intersectionRatio&&a.classList.add("outside-initial-viewport"),a.style.top=`${o.top+win.scrollY}px`,a.style.left=`${o.left+win.scrollX}px`,a.style.width=`${o.width}px`,a.style.height=`${o.height}px`;let l=e.xpath;e.isLCP?l=`LCP: ${l}`:e.isLCPCandidate&&(l=`LCP candidate: ${l}`),a.title=l,a.appendChild(createElement("span","label",l)),i.appendChild(a)}})(),(()=>{o.replaceChildren();const e=createElement("button","","×");if(e.setAttribute("aria-label","Close"),e.addEventListener("click",(()=>{c()})),o.append(e,createElement("h2","","Optimization Detective")),!a)return;const{minimumViewportWidth:n,maximumViewportWidth:i,complete:r}=a;o.append(createElement("div","",`Viewport group: ${n} < width ≤ ${i??"∞"} (current width: ${win.innerWidth})`),createElement("div","","Status: "+(r?"complete":"incomplete")));const d=l?.elements.find((t=>t.isLCP));d&&o.append(createElement("div","",`LCP: ${d.xpath}`));const p=t?.groups.find((({minimum_viewport_width:t})=>t===n)),s=[...p?.url_metrics??[]].sort(((t,e)=>e.timestamp-t.timestamp));if(o.append(createElement("div","",`Stored URL Metrics: ${s.length}`)),s.length>0){const t=createElement("ul");for(const e of s)t.appendChild(createElement("li","",`${formatAge(e.timestamp)} (width: ${e.viewport.width})`));o.appendChild(t)}})()})))};win.addEventListener("resize",d,{passive:!0});let p=!1;function c(){p=!0,win.removeEventListener("resize",d),null!==r&&(win.cancelAnimationFrame(r),r=null),e.remove()}return{update(t,e){p||(a=t,l=e,d())},remove:c}}
\ No newline at end of file
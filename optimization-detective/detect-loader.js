@@ -1,3 +1,85 @@
+/**
+ * @typedef {import("./types.ts").DetectionAbortReason} DetectionAbortReason
+ * @typedef {import("./types.ts").DetectionOutcome} DetectionOutcome
+ * @typedef {import("./types.ts").DetectionStatus} DetectionStatus
+ * @typedef {import("./types.ts").URLMetricGroupStatus} URLMetricGroupStatus
+ */
+
+/**
+ * Prefix for the names of the events which are dispatched on the document for detection milestones.
+ *
+ * This corresponds with detectionEventNamePrefix in detect.js.
+ *
+ * @type {string}
+ */
+const eventNamePrefix = 'optimization-detective:';
+
+/**
+ * Prefix which is prepended to all messages logged to the console.
+ *
+ * This corresponds with consoleLogPrefix in detect.js.
+ *
+ * @type {string}
+ */
+const consoleLogPrefix = '[Optimization Detective]';
+
+/**
+ * Outcome of detection, which is resolved when the first URL Metric is submitted (or would have been in a dry run) or
+ * when detection is aborted.
+ *
+ * @type {Promise<DetectionOutcome>}
+ */
+const outcome = new Promise( ( resolve ) => {
+	for ( const status of [ 'aborted', 'submitted', 'dry-run' ] ) {
+		document.addEventListener(
+			eventNamePrefix + status,
+			( /** @type {CustomEvent} */ event ) => {
+				resolve( Object.freeze( { status, ...event.detail } ) );
+			},
+			{ once: true }
+		);
+	}
+} );
+
+// Expose the status of detection to page scripts (e.g. to know whether a URL Metric was submitted in end-to-end tests).
+Object.defineProperty( window, 'optimizationDetective', {
+	value: /** @type {DetectionStatus} */ ( Object.freeze( { outcome } ) ),
+} );
+
+/**
+ * Dispatches the event for detection having been aborted before the detect module is loaded.
+ *
+ * @param {DetectionAbortReason}  reason               - Reason.
+ * @param {?URLMetricGroupStatus} urlMetricGroupStatus - Group status for the current viewport, if determined.
+ */
+function dispatchAbortedEvent( reason, urlMetricGroupStatus ) {
+	document.dispatchEvent(
+		new CustomEvent( eventNamePrefix + 'aborted', {
+			detail: Object.freeze( { reason, urlMetricGroupStatus } ),
+		} )
+	);
+}
+
+/**
+ * Logs a message if debug mode is enabled.
+ *
+ * Since the detect module is not imported when detection is skipped, it is only imported for its logger in debug mode.
+ *
+ * @param {string}  detectSrc - URL for the detect module.
+ * @param {boolean} isDebug   - Whether to show debug messages.
+ * @param {string}  message   - Message to log.
+ * @return {Promise<void>}
+ */
+async function logDebugMessage( detectSrc, isDebug, message ) {
+	if ( ! isDebug ) {
+		return;
+	}
+	const { createLogger } = /** @type {typeof import("./detect.js")} */ (
+		await import( detectSrc )
+	);
+	createLogger( isDebug, consoleLogPrefix ).log( message );
+}
+
 /**
  * Loads the detect module after the page has loaded.
  *
@@ -6,6 +88,15 @@
  * @since 1.0.0
  */
 async function load() {
+	// Wait until a prerendered page is activated, since the page is not seen by the user until then.
+	if ( document.prerendering ) {
+		await new Promise( ( resolve ) => {
+			document.addEventListener( 'prerenderingchange', resolve, {
+				once: true,
+			} );
+		} );
+	}
+
 	// Wait until the resources on the page have fully loaded.
 	await new Promise( ( resolve ) => {
 		if ( document.readyState === 'complete' ) {
@@ -30,10 +121,79 @@ async function load() {
 	const detectSrc = /** @type {string} */ data[ 0 ];
 	const detectArgs =
 		/** @type {import("./detect.js").DetectFunctionArgs} */ data[ 1 ];
-	const detect = /** @type {import("./detect.js").DetectFunction} */ (
-		( await import( detectSrc ) ).default
+
+	// Skip collection entirely when the user has requested reduced data usage, so that the detect module is not even downloaded.
+	const { connection } =
+		/** @type {Navigator & {connection?: {saveData?: boolean}}} */ (
+			navigator
+		);
+	if ( connection?.saveData ) {
+		await logDebugMessage(
+			detectSrc,
+			detectArgs.isDebug,
+			'Skipping detection since Save-Data is enabled.'
+		);
+		dispatchAbortedEvent( 'save-data', null );
+		return;
+	}
+
+	// Sample clients before even importing the detect module, so that a high-traffic page does not result in many clients
+	// submitting URL Metrics at the same time. The group lookup corresponds with getGroupForViewportWidth() in detect.js.
+	const urlMetricGroupStatus = detectArgs.urlMetricGroupStatuses.find(
+		( { minimumViewportWidth, maximumViewportWidth } ) =>
+			window.innerWidth > minimumViewportWidth &&
+			( null === maximumViewportWidth ||
+				window.innerWidth <= maximumViewportWidth )
+	);
+	if (
+		! detectArgs.isDryRun &&
+		urlMetricGroupStatus &&
+		! urlMetricGroupStatus.complete &&
+		Math.random() >= urlMetricGroupStatus.samplingRate
+	) {
+		await logDebugMessage(
+			detectSrc,
+			detectArgs.isDebug,
+			`Skipping detection since the client was not sampled (sampling rate: ${ urlMetricGroupStatus.samplingRate }).`
+		);
+		dispatchAbortedEvent( 'not-sampled', urlMetricGroupStatus );
+		return;
+	}
+	const {
+		default: detect,
+		flushOutbox,
+		createLogger,
+	} = /** @type {typeof import("./detect.js")} */ (
+		await import( detectSrc )
 	);
-	await detect( detectArgs );
+	const { log, error } = createLogger( detectArgs.isDebug, consoleLogPrefix );
+
+	// Start a fresh collection cycle when the page is restored from the back/forward cache, since the restored page is
+	// seen anew by the user even though the scripts are not run again. Starting a new cycle ends the previous one.
+	window.addEventListener( 'pageshow', ( event ) => {
+		if ( event.persisted ) {
+			log(
+				'Starting a fresh collection cycle since the page was restored from the back/forward cache.'
+			);
+			detect( { ...detectArgs, isRestoredFromCache: true } ).catch(
+				( err ) => {
+					error( 'Failed to run detection on restored page:', err );
+				}
+			);
+		}
+	} );
+
+	const detection = detect( detectArgs );
+
+	// Retry submitting any URL Metrics which previously failed to be submitted, unless nothing is to be submitted. This is
+	// done once detection has started so that a slow REST API endpoint does not hold up detection.
+	if ( ! detectArgs.isDryRun ) {
+		flushOutbox( detectArgs ).catch( ( err ) => {
+			error( 'Failed to retry submissions of URL Metrics:', err );
+		} );
+	}
+
+	await detection;
 }
 
 load();
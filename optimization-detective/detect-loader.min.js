@@ -1 +1 @@
-async function load(){await new Promise((e=>{"complete"===document.readyState?e():window.addEventListener("load",e,{once:!0})})),"function"==typeof requestIdleCallback&&await new Promise((e=>{requestIdleCallback(e)}));const e=JSON.parse(document.getElementById("optimization-detective-detect-args").textContent),t=e[0],a=e[1],n=(await import(t)).default;await n(a)}load();
\ No newline at end of file
+const eventNamePrefix="optimization-detective:",consoleLogPrefix="[Optimization Detective]",outcome=new Promise((e=>{for(const t of["aborted","submitted","dry-run"])document.addEventListener(eventNamePrefix+t,(i=>{e(Object.freeze({status:t,...i.detail}))}),{once:!0})}));function dispatchAbortedEvent(e,t){document.dispatchEvent(new CustomEvent(eventNamePrefix+"aborted",{detail:Object.freeze({reason:e,urlMetricGroupStatus:t})}))}async function logDebugMessage(e,t,i){if(!t)return;const{createLogger:n}=await import(e);n(t,consoleLogPrefix).log(i)}async function load(){document.prerendering&&await new Promise((e=>{document.addEventListener("prerenderingchange",e,{once:!0})})),await new Promise((e=>{"complete"===document.readyState?e():window.addEventListener("load",e,{once:!0})})),"function"==typeof requestIdleCallback&&await new Promise((e=>{requestIdleCallback(e)}));const e=JSON.parse(document.getElementById("optimization-detective-detect-args").textContent),t=e[0],i=e[1],{connection:n}=navigator;if(n?.saveData)return await logDebugMessage(t,i.isDebug,"Skipping detection since Save-Data is enabled."),void dispatchAbortedEvent("save-data",null);const o=i.urlMetricGroupStatuses.find((({minimumViewportWidth:e,maximumViewportWidth:t})=>window.innerWidth>e&&(null===t||window.innerWidth<=t)));if(!i.isDryRun&&o&&!o.complete&&Math.random()>=o.samplingRate)return await logDebugMessage(t,i.isDebug,`Skipping detection since the client was not sampled (sampling rate: ${o.samplingRate}).`),void dispatchAbortedEvent("not-sampled",o);const{default:a,flushOutbox:r,createLogger:s}=await import(t),{log:c,error:d}=s(i.isDebug,consoleLogPrefix);window.addEventListener("pageshow",(e=>{e.persisted&&(c("Starting a fresh collection cycle since the page was restored from the back/forward cache."),a({...i,isRestoredFromCache:!0}).catch((e=>{d("Failed to run detection on restored page:",e)})))}));const u=a(i);i.isDryRun||r(i).catch((e=>{d("Failed to retry submissions of URL Metrics:",e)})),await u}Object.defineProperty(window,"optimizationDetective",{value:Object.freeze({outcome})}),load();
\ No newline at end of file
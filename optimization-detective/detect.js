@@ -3,7 +3,17 @@
 /**
  * @typedef {import("web-vitals").LCPMetric} LCPMetric
  * @typedef {import("web-vitals").LCPMetricWithAttribution} LCPMetricWithAttribution
+ * @typedef {import("web-vitals").CLSMetric["entries"][number]} LayoutShift
+ * @typedef {LayoutShift["sources"][number]} LayoutShiftSource
  * @typedef {import("./types.ts").ElementData} ElementData
+ * @typedef {import("./types.ts").ElementImageData} ElementImageData
+ * @typedef {import("./types.ts").LCPData} LCPData
+ * @typedef {import("./types.ts").ScrollOffset} ScrollOffset
+ * @typedef {import("./types.ts").DeviceData} DeviceData
+ * @typedef {import("./types.ts").NetworkData} NetworkData
+ * @typedef {import("./types.ts").FontData} FontData
+ * @typedef {import("./types.ts").LongAnimationFrameData} LongAnimationFrameData
+ * @typedef {import("./types.ts").LongAnimationFrameScriptData} LongAnimationFrameScriptData
  * @typedef {import("./types.ts").OnTTFBFunction} OnTTFBFunction
  * @typedef {import("./types.ts").OnFCPFunction} OnFCPFunction
  * @typedef {import("./types.ts").OnLCPFunction} OnLCPFunction
@@ -16,7 +26,11 @@
  * @typedef {import("./types.ts").OnCLSWithAttributionFunction} OnCLSWithAttributionFunction
  * @typedef {import("./types.ts").URLMetric} URLMetric
  * @typedef {import("./types.ts").URLMetricGroupStatus} URLMetricGroupStatus
+ * @typedef {import("./types.ts").DebugOverlay} DebugOverlay
+ * @typedef {import("./types.ts").URLMetricSchema} URLMetricSchema
  * @typedef {import("./types.ts").Extension} Extension
+ * @typedef {import("./types.ts").ExtensionArgs} ExtensionArgs
+ * @typedef {import("./types.ts").ExtensionModuleUrls} ExtensionModuleUrls
  * @typedef {import("./types.ts").ExtendedRootData} ExtendedRootData
  * @typedef {import("./types.ts").ExtendedElementData} ExtendedElementData
  * @typedef {import("./types.ts").GetRootDataFunction} GetRootDataFunction
@@ -24,6 +38,9 @@
  * @typedef {import("./types.ts").GetElementDataFunction} GetElementDataFunction
  * @typedef {import("./types.ts").ExtendElementDataFunction} ExtendElementDataFunction
  * @typedef {import("./types.ts").Logger} Logger
+ * @typedef {import("./types.ts").DetectionEventType} DetectionEventType
+ * @typedef {import("./types.ts").DetectionEventDetailMap} DetectionEventDetailMap
+ * @typedef {import("./types.ts").DetectionAbortReason} DetectionAbortReason
  */
 
 /**
@@ -48,6 +65,16 @@ const doc = win.document;
  */
 const consoleLogPrefix = '[Optimization Detective]';
 
+/**
+ * Prefix for the names of the events which are dispatched on the document for detection milestones.
+ *
+ * This corresponds with the event names which the detect loader listens for to expose the outcome of detection.
+ *
+ * @see {dispatchDetectionEvent}
+ * @type {string}
+ */
+const detectionEventNamePrefix = 'optimization-detective:';
+
 /**
  * Session storage key for client-side storage lock to prevent clients attempting to submit URL Metrics when there is a server-side storage lock.
  *
@@ -65,6 +92,58 @@ const storageLockTimeSessionKey = 'odStorageLockTime';
  */
 const compressionDebounceWaitDuration = 1000;
 
+/**
+ * Name of the IndexedDB database for the outbox of URL Metrics which are pending submission.
+ *
+ * @see {openOutbox}
+ * @type {string}
+ */
+const outboxDatabaseName = 'odUrlMetricOutbox';
+
+/**
+ * Name of the IndexedDB object store for the outbox of URL Metrics which are pending submission.
+ *
+ * @see {openOutbox}
+ * @type {string}
+ */
+const outboxObjectStoreName = 'pendingUrlMetrics';
+
+/**
+ * Maximum number of URL Metrics which may be pending submission in the outbox.
+ *
+ * @see {addToOutbox}
+ * @type {number}
+ */
+const maxOutboxSize = 10;
+
+/**
+ * Maximum number of attempts to submit a URL Metric in the outbox before it is discarded.
+ *
+ * @see {flushOutbox}
+ * @type {number}
+ */
+const maxOutboxSubmissionAttempts = 3;
+
+/**
+ * Maximum time in milliseconds to spend retrying the submissions in the outbox, so that a slow or unresponsive REST API
+ * endpoint does not keep the page busy.
+ *
+ * @see {flushOutbox}
+ * @type {number}
+ */
+const maxOutboxFlushDuration = 3000;
+
+/**
+ * Maximum ratio by which the viewport height may change without the resize being considered significant.
+ *
+ * On mobile, the viewport height changes when the browser's URL bar collapses or expands, which affects neither the
+ * viewport group nor substantially which elements are in the initial viewport.
+ *
+ * @see {isSignificantViewportResize}
+ * @type {number}
+ */
+const maxInsignificantViewportHeightChangeRatio = 0.25;
+
 /**
  * Checks whether storage is locked.
  *
@@ -107,12 +186,14 @@ function setStorageLock( currentTime ) {
 /**
  * Creates a logger object with log, warn, and error methods.
  *
+ * This is also used by the detect loader, so that its messages are logged in the same way.
+ *
  * @param {boolean} [debugMode=false]      - Whether all messages should be logged. If false, then only errors are logged.
  * @param {?string} [prefix=null]          - Prefix to prepend to the console message.
  * @param {?string} [scriptModuleUrl=null] - The URL for the script module which is emitting the log. This is used for extensions.
  * @return {Logger} Logger object with log, info, warn, and error methods.
  */
-function createLogger(
+export function createLogger(
 	debugMode = false,
 	prefix = null,
 	scriptModuleUrl = null
@@ -204,6 +285,43 @@ function getExtensionNameFromScriptModuleUrl( scriptModuleUrl ) {
 	}
 }
 
+/**
+ * Gets the mapping of extension script module URLs to the args to pass to each extension.
+ *
+ * The extension module URLs may be supplied either as a list of URLs or as a mapping of URLs to args. In the former
+ * case, each extension gets an empty args object.
+ *
+ * @param {ExtensionModuleUrls} extensionModuleUrls - Extension module URLs or mapping of URLs to args.
+ * @return {Map<string, ExtensionArgs>} Mapping of extension module URLs to args.
+ */
+function getExtensionArgsByModuleUrl( extensionModuleUrls ) {
+	/** @type {Map<string, ExtensionArgs>} */
+	const extensionArgsByModuleUrl = new Map();
+	if ( Array.isArray( extensionModuleUrls ) ) {
+		for ( const extensionModuleUrl of extensionModuleUrls ) {
+			extensionArgsByModuleUrl.set( extensionModuleUrl, {} );
+		}
+	} else if (
+		null !== extensionModuleUrls &&
+		typeof extensionModuleUrls === 'object'
+	) {
+		for ( const [ extensionModuleUrl, extensionArgs ] of Object.entries(
+			extensionModuleUrls
+		) ) {
+			extensionArgsByModuleUrl.set(
+				extensionModuleUrl,
+				null !== extensionArgs && typeof extensionArgs === 'object'
+					? extensionArgs
+					: {}
+			);
+		}
+	}
+	for ( const extensionArgs of extensionArgsByModuleUrl.values() ) {
+		recursiveFreeze( extensionArgs );
+	}
+	return extensionArgsByModuleUrl;
+}
+
 /**
  * Gets the status for the URL Metric group for the provided viewport width.
  *
@@ -229,6 +347,53 @@ function getGroupForViewportWidth( viewportWidth, urlMetricGroupStatuses ) {
 	);
 }
 
+/**
+ * Checks whether the current client session already submitted a URL Metric which is still fresh.
+ *
+ * @param {string|null} alreadySubmittedSessionStorageKey - Session storage key for the URL Metric having been submitted.
+ * @param {number}      freshnessTTL                      - The freshness age (TTL) for a given URL Metric.
+ * @return {boolean} Whether a fresh URL Metric was already submitted.
+ */
+function hasAlreadySubmittedFreshUrlMetric(
+	alreadySubmittedSessionStorageKey,
+	freshnessTTL
+) {
+	if (
+		null === alreadySubmittedSessionStorageKey ||
+		! ( alreadySubmittedSessionStorageKey in sessionStorage )
+	) {
+		return false;
+	}
+	const previousVisitTime = parseInt(
+		sessionStorage.getItem( alreadySubmittedSessionStorageKey ),
+		10
+	);
+	return (
+		! isNaN( previousVisitTime ) &&
+		( freshnessTTL < 0 ||
+			( getCurrentTime() - previousVisitTime ) / 1000 < freshnessTTL )
+	);
+}
+
+/**
+ * Checks whether the viewport was significantly resized.
+ *
+ * A change to the width is always significant since it may change the viewport group, whereas a change to the height
+ * is only significant if it is larger than what happens when the browser's URL bar collapses or expands on mobile.
+ *
+ * @param {URLMetric['viewport']} previousViewport - Previous viewport.
+ * @param {URLMetric['viewport']} currentViewport  - Current viewport.
+ * @return {boolean} Whether the resize is significant.
+ */
+function isSignificantViewportResize( previousViewport, currentViewport ) {
+	return (
+		previousViewport.width !== currentViewport.width ||
+		Math.abs( currentViewport.height - previousViewport.height ) /
+			previousViewport.height >
+			maxInsignificantViewportHeightChangeRatio
+	);
+}
+
 /**
  * Gets the sessionStorage key for keeping track of whether the current client session already submitted a URL Metric.
  *
@@ -314,14 +479,265 @@ function recursiveFreeze( obj ) {
  */
 let urlMetric;
 
+/**
+ * Controller for aborting the current URL Metric collection cycle.
+ *
+ * A fresh collection cycle is started when the page is restored from the back/forward cache, at which point the previous
+ * cycle is aborted so that it no longer updates or submits the URL Metric.
+ *
+ * @see {detect}
+ * @type {?AbortController}
+ */
+let collectionCycleAbortController = null;
+
+/**
+ * Schemas for the root and element properties of a URL Metric, which are only available in debug mode.
+ *
+ * @see {detect}
+ * @type {?URLMetricSchema}
+ */
+let urlMetricSchema = null;
+
+/**
+ * Checks whether a value is of a JSON Schema type.
+ *
+ * @param {*}      value - Value.
+ * @param {string} type  - JSON Schema type.
+ * @return {boolean} Whether the value is of the type.
+ */
+function isValueOfSchemaType( value, type ) {
+	switch ( type ) {
+		case 'null':
+			return null === value;
+		case 'boolean':
+			return typeof value === 'boolean';
+		case 'integer':
+			return Number.isInteger( value );
+		case 'number':
+			return typeof value === 'number' && Number.isFinite( value );
+		case 'string':
+			return typeof value === 'string';
+		case 'array':
+			return Array.isArray( value );
+		case 'object':
+			return (
+				null !== value &&
+				typeof value === 'object' &&
+				! Array.isArray( value )
+			);
+	}
+	return false;
+}
+
+/**
+ * Gets the error for a value which is invalid according to a JSON Schema.
+ *
+ * This implements the subset of JSON Schema which is used for URL Metrics, and the error messages correspond with those
+ * from `rest_validate_value_from_schema()` on the server.
+ *
+ * @param {*}      value  - Value.
+ * @param {Object} schema - JSON Schema.
+ * @param {string} param  - Name of the value.
+ * @return {?string} Error message, or null if the value is valid.
+ */
+function getSchemaValidationError( value, schema, param ) {
+	const types = /** @type {string[]} */ ( [].concat( schema.type || [] ) );
+	const type = types.find( ( schemaType ) =>
+		isValueOfSchemaType( value, schemaType )
+	);
+	if ( types.length > 0 && ! type ) {
+		return `${ param } is not of type ${ types.join( ',' ) }.`;
+	}
+
+	if (
+		Array.isArray( schema.enum ) &&
+		! schema.enum.some(
+			( enumValue ) =>
+				JSON.stringify( enumValue ) === JSON.stringify( value )
+		)
+	) {
+		return `${ param } is not one of ${ schema.enum
+			.map( ( enumValue ) => JSON.stringify( enumValue ) )
+			.join( ', ' ) }.`;
+	}
+
+	if ( type === 'number' || type === 'integer' ) {
+		if (
+			typeof schema.minimum === 'number' &&
+			( schema.exclusiveMinimum
+				? value <= schema.minimum
+				: value < schema.minimum )
+		) {
+			return `${ param } must be greater than ${
+				schema.exclusiveMinimum ? '' : 'or equal to '
+			}${ schema.minimum }`;
+		}
+		if (
+			typeof schema.maximum === 'number' &&
+			( schema.exclusiveMaximum
+				? value >= schema.maximum
+				: value > schema.maximum )
+		) {
+			return `${ param } must be less than ${
+				schema.exclusiveMaximum ? '' : 'or equal to '
+			}${ schema.maximum }`;
+		}
+	} else if ( type === 'string' ) {
+		if (
+			typeof schema.minLength === 'number' &&
+			value.length < schema.minLength
+		) {
+			return `${ param } must be at least ${ schema.minLength } characters long.`;
+		}
+		if (
+			typeof schema.maxLength === 'number' &&
+			value.length > schema.maxLength
+		) {
+			return `${ param } must be at most ${ schema.maxLength } characters long.`;
+		}
+		if (
+			typeof schema.pattern === 'string' &&
+			! new RegExp( schema.pattern ).test( value )
+		) {
+			return `${ param } does not match pattern ${ schema.pattern }.`;
+		}
+	} else if ( type === 'array' ) {
+		if (
+			typeof schema.minItems === 'number' &&
+			value.length < schema.minItems
+		) {
+			return `${ param } must contain at least ${ schema.minItems } items.`;
+		}
+		if (
+			typeof schema.maxItems === 'number' &&
+			value.length > schema.maxItems
+		) {
+			return `${ param } must contain at most ${ schema.maxItems } items.`;
+		}
+		if ( schema.items ) {
+			for ( const [ i, item ] of value.entries() ) {
+				const itemError = getSchemaValidationError(
+					item,
+					schema.items,
+					`${ param }[${ i }]`
+				);
+				if ( itemError ) {
+					return itemError;
+				}
+			}
+		}
+	} else if ( type === 'object' ) {
+		const properties = schema.properties || {};
+		for ( const [ key, propertySchema ] of Object.entries( properties ) ) {
+			if ( ! ( key in value ) ) {
+				if ( propertySchema.required === true ) {
+					return `${ key } is a required property of ${ param }.`;
+				}
+				continue;
+			}
+			const propertyError = getSchemaValidationError(
+				value[ key ],
+				propertySchema,
+				`${ param }[${ key }]`
+			);
+			if ( propertyError ) {
+				return propertyError;
+			}
+		}
+		for ( const key of Object.keys( value ) ) {
+			if ( key in properties ) {
+				continue;
+			}
+			if ( schema.additionalProperties === false ) {
+				return `${ key } is not a valid property of ${ param }.`;
+			}
+			if ( typeof schema.additionalProperties === 'object' ) {
+				const propertyError = getSchemaValidationError(
+					value[ key ],
+					schema.additionalProperties,
+					`${ param }[${ key }]`
+				);
+				if ( propertyError ) {
+					return propertyError;
+				}
+			}
+		}
+	}
+	return null;
+}
+
+/**
+ * Validates the properties being set on the root or on an element against the URL Metric schema.
+ *
+ * This is only done in debug mode, when the schema is available. Otherwise, invalid data would only be discovered when the
+ * REST API rejects the entire URL Metric, which happens after the page is hidden and so goes unnoticed.
+ *
+ * @throws {Error} When a property is not in the schema or its value is invalid.
+ *
+ * @param {Object}                 properties       - Properties.
+ * @param {Object<string, Object>} propertiesSchema - Schemas for the properties.
+ * @param {string}                 target           - Where the properties are being set, either 'root' or 'element'.
+ * @param {string}                 byExtension      - Phrase identifying the extension setting the properties, if any.
+ */
+function validateExtendedProperties(
+	properties,
+	propertiesSchema,
+	target,
+	byExtension
+) {
+	const filterName =
+		target === 'root'
+			? 'od_url_metric_schema_root_additional_properties'
+			: 'od_url_metric_schema_element_item_additional_properties';
+	for ( const [ key, value ] of Object.entries( properties ) ) {
+		if ( ! Object.hasOwn( propertiesSchema, key ) ) {
+			throw new Error(
+				`Key '${ key }' set on ${ target }${ byExtension } is not in the URL Metric schema. It must be added via the ${ filterName } filter.`
+			);
+		}
+		const validationError = getSchemaValidationError(
+			value,
+			propertiesSchema[ key ],
+			key
+		);
+		if ( validationError ) {
+			throw new Error(
+				`Invalid value for key '${ key }' set on ${ target }${ byExtension }: ${ validationError }`
+			);
+		}
+	}
+}
+
+/**
+ * Gets the phrase identifying the extension setting properties, for use in error messages.
+ *
+ * @param {?string} extensionName - Extension name.
+ * @return {string} Phrase, or an empty string if the extension is unknown.
+ */
+function getByExtensionPhrase( extensionName ) {
+	return extensionName ? ` by extension '${ extensionName }'` : '';
+}
+
 /**
  * Reserved root property keys.
  *
+ * @since n.e.x.t Reserved 'lcp', 'scrollOffset', 'device', 'network', 'truncated', 'fonts', and 'longAnimationFrames'.
  * @see {URLMetric}
  * @see {ExtendedElementData}
  * @type {Set<string>}
  */
-const reservedRootPropertyKeys = new Set( [ 'url', 'viewport', 'elements' ] );
+const reservedRootPropertyKeys = new Set( [
+	'url',
+	'viewport',
+	'elements',
+	'lcp',
+	'scrollOffset',
+	'device',
+	'network',
+	'truncated',
+	'fonts',
+	'longAnimationFrames',
+] );
 
 /**
  * Gets root URL Metric data.
@@ -335,18 +751,45 @@ function getRootData() {
 	return immutableUrlMetric;
 }
 
+/**
+ * Dispatches an event on the document for a detection milestone.
+ *
+ * @template {DetectionEventType} T
+ * @param {T}                          type   - Event type, without the prefix.
+ * @param {DetectionEventDetailMap[T]} detail - Event detail.
+ */
+function dispatchDetectionEvent( type, detail ) {
+	doc.dispatchEvent(
+		new CustomEvent( detectionEventNamePrefix + type, {
+			detail: Object.freeze( detail ),
+		} )
+	);
+}
+
 /**
  * Extends root URL Metric data.
  *
  * @type {ExtendRootDataFunction}
- * @param {ExtendedRootData} properties
+ * @param {ExtendedRootData} properties      - Properties.
+ * @param {?string}          [extensionName] - Name of the extension setting the properties.
  */
-function extendRootData( properties ) {
+function extendRootData( properties, extensionName = null ) {
+	const byExtension = getByExtensionPhrase( extensionName );
 	for ( const key of Object.getOwnPropertyNames( properties ) ) {
 		if ( reservedRootPropertyKeys.has( key ) ) {
-			throw new Error( `Disallowed setting of key '${ key }' on root.` );
+			throw new Error(
+				`Disallowed setting of key '${ key }' on root${ byExtension }.`
+			);
 		}
 	}
+	if ( urlMetricSchema ) {
+		validateExtendedProperties(
+			properties,
+			urlMetricSchema.root,
+			'root',
+			byExtension
+		);
+	}
 	Object.assign( urlMetric, properties );
 	debounceCompressUrlMetric();
 }
@@ -361,6 +804,7 @@ const elementsByXPath = new Map();
 /**
  * Reserved element property keys.
  *
+ * @since n.e.x.t Reserved 'layoutShiftScore', 'layoutShiftPreviousRect', 'layoutShiftCurrentRect', 'backgroundImageUrls', 'isBackgroundImageLCP', 'firstVisibleTime', 'maxIntersectionRatio', 'isVisibleBeforeInteraction', and 'image'.
  * @see {ElementData}
  * @see {ExtendedRootData}
  * @type {Set<string>}
@@ -372,6 +816,15 @@ const reservedElementPropertyKeys = new Set( [
 	'intersectionRatio',
 	'intersectionRect',
 	'boundingClientRect',
+	'layoutShiftScore',
+	'layoutShiftPreviousRect',
+	'layoutShiftCurrentRect',
+	'backgroundImageUrls',
+	'isBackgroundImageLCP',
+	'firstVisibleTime',
+	'maxIntersectionRatio',
+	'isVisibleBeforeInteraction',
+	'image',
 ] );
 
 /**
@@ -395,112 +848,1278 @@ function getElementData( xpath ) {
  * Extends element data.
  *
  * @type {ExtendElementDataFunction}
- * @param {string}              xpath      - XPath.
- * @param {ExtendedElementData} properties - Properties.
+ * @param {string}              xpath           - XPath.
+ * @param {ExtendedElementData} properties      - Properties.
+ * @param {?string}             [extensionName] - Name of the extension setting the properties.
  */
-function extendElementData( xpath, properties ) {
+function extendElementData( xpath, properties, extensionName = null ) {
 	if ( ! elementsByXPath.has( xpath ) ) {
 		throw new Error( `Unknown element with XPath: ${ xpath }` );
 	}
+	const byExtension = getByExtensionPhrase( extensionName );
 	for ( const key of Object.getOwnPropertyNames( properties ) ) {
 		if ( reservedElementPropertyKeys.has( key ) ) {
 			throw new Error(
-				`Disallowed setting of key '${ key }' on element.`
+				`Disallowed setting of key '${ key }' on element${ byExtension }.`
 			);
 		}
 	}
+	if ( urlMetricSchema ) {
+		validateExtendedProperties(
+			properties,
+			urlMetricSchema.element,
+			'element',
+			byExtension
+		);
+	}
 	const elementData = elementsByXPath.get( xpath );
 	Object.assign( elementData, properties );
 	debounceCompressUrlMetric();
 }
 
 /**
- * Compresses a JSON string using CompressionStream API.
+ * Checks whether an element stays at the same position in the viewport regardless of the scroll offset.
  *
- * @param {string} jsonString - JSON string to compress.
- * @return {Promise<Blob>} Compressed data.
+ * This is the case for an element which is fixed-positioned, either by itself or by an ancestor, and for an element
+ * which is in a sticky-positioned ancestor (or is itself one) that is stuck to the top or bottom of the viewport, such
+ * as a header. Since fixed- and sticky-positioned elements are positioned, only the element and its chain of offset
+ * parents need to be checked rather than all of its ancestors. Note that a fixed-positioned element has no offset
+ * parent, so it terminates the chain.
+ *
+ * @param {Element} element - Element.
+ * @return {boolean} Whether the element is fixed to the viewport.
  */
-async function compress( jsonString ) {
-	const encodedData = new TextEncoder().encode( jsonString );
-	const compressedDataStream = new Blob( [ encodedData ] )
-		.stream()
-		.pipeThrough( new CompressionStream( 'gzip' ) );
-	const compressedDataBuffer = await new Response(
-		compressedDataStream
-	).arrayBuffer();
-	return new Blob( [ compressedDataBuffer ], { type: 'application/gzip' } );
+function isFixedToViewport( element ) {
+	/** @type {Element|null} */
+	let htmlElement = element;
+	while ( htmlElement && ! ( htmlElement instanceof HTMLElement ) ) {
+		htmlElement = htmlElement.parentElement; // For an element in an SVG, which has no offset parent.
+	}
+	for (
+		let positioned = /** @type {HTMLElement|null} */ ( htmlElement );
+		positioned instanceof HTMLElement;
+		positioned = /** @type {HTMLElement|null} */ ( positioned.offsetParent )
+	) {
+		const style = win.getComputedStyle( positioned );
+		if ( style.position === 'fixed' ) {
+			return true;
+		}
+		if ( style.position === 'sticky' ) {
+			const rect = positioned.getBoundingClientRect();
+			if (
+				Math.abs( rect.top - parseFloat( style.top ) ) < 1 ||
+				Math.abs(
+					win.innerHeight - rect.bottom - parseFloat( style.bottom )
+				) < 1
+			) {
+				return true;
+			}
+		}
+	}
+	return false;
 }
 
 /**
- * The compressed URL metric data.
+ * Translates a rect which is relative to the viewport to be relative to the document.
  *
- * @see {debounceCompressUrlMetric}
- * @type {?Blob}
+ * @param {DOMRectReadOnly} rect         - Rect relative to the viewport.
+ * @param {ScrollOffset}    scrollOffset - Scroll offset at which the rect was captured.
+ * @return {DOMRectReadOnly} Rect relative to the document.
  */
-let compressedPayload = null;
+function getDocumentRect( rect, scrollOffset ) {
+	return new DOMRectReadOnly(
+		rect.x + scrollOffset.x,
+		rect.y + scrollOffset.y,
+		rect.width,
+		rect.height
+	);
+}
 
 /**
- * Timeout ID for debouncing URL metric compression.
+ * Gets the intersection of two rects.
  *
- * @see {debounceCompressUrlMetric}
- * @type {?ReturnType<typeof setTimeout>}
+ * @param {DOMRectReadOnly} a - First rect.
+ * @param {DOMRectReadOnly} b - Second rect.
+ * @return {DOMRectReadOnly} Intersection, which has no area if the rects do not intersect.
  */
-let recompressionTimeout = null;
+function getRectIntersection( a, b ) {
+	const left = Math.max( a.left, b.left );
+	const top = Math.max( a.top, b.top );
+	return new DOMRectReadOnly(
+		left,
+		top,
+		Math.max( 0, Math.min( a.right, b.right ) - left ),
+		Math.max( 0, Math.min( a.bottom, b.bottom ) - top )
+	);
+}
 
 /**
- * Handle for requestIdleCallback for URL metric compression.
+ * Gets the area of the viewport which was impacted by a source of a layout shift.
  *
- * @see {debounceCompressUrlMetric}
- * @type {?number}
+ * This is the union of the rects for the source before and after the shift, clipped to the viewport. It is the source's
+ * contribution to the impact region from which the value of the layout shift is computed, so the value can be
+ * apportioned to the sources by it.
+ *
+ * @param {LayoutShiftSource} source - Layout shift source.
+ * @return {number} Impacted area.
  */
-let idleCallbackHandle = null;
+function getLayoutShiftSourceImpactArea( source ) {
+	const viewportRect = new DOMRectReadOnly(
+		0,
+		0,
+		win.innerWidth,
+		win.innerHeight
+	);
+	const getVisibleArea = ( /** @type {DOMRectReadOnly} */ rect ) => {
+		const visibleRect = getRectIntersection( rect, viewportRect );
+		return visibleRect.width * visibleRect.height;
+	};
+	return (
+		getVisibleArea( source.previousRect ) +
+		getVisibleArea( source.currentRect ) -
+		getVisibleArea(
+			getRectIntersection( source.previousRect, source.currentRect )
+		)
+	);
+}
 
 /**
- * Whether compression is enabled.
+ * Generates progressively trimmed versions of a URL Metric for when it is too large to be submitted.
  *
- * @see {detect}
- * @see {debounceCompressUrlMetric}
- * @type {boolean}
+ * Lower-value data is dropped first: the elements which are not in the initial viewport, then the elements which are
+ * not LCP candidates, and then the properties added by extensions according to their declared trim priorities. Each
+ * trimmed version is marked as truncated. Note that the same object is yielded each time with more data removed.
+ *
+ * @param {URLMetric}           trimmedUrlMetric - URL Metric to trim, which is mutated.
+ * @param {Map<string, number>} trimPriorities   - Trim priorities for properties added by extensions, where lower values are dropped first.
+ * @yields {URLMetric} Trimmed URL Metric.
  */
-let compressionEnabled = true;
+function* generateTrimmedUrlMetrics( trimmedUrlMetric, trimPriorities ) {
+	trimmedUrlMetric.truncated = true;
+
+	trimmedUrlMetric.elements = trimmedUrlMetric.elements.filter(
+		( elementData ) => elementData.intersectionRatio > 0
+	);
+	yield trimmedUrlMetric;
+
+	trimmedUrlMetric.elements = trimmedUrlMetric.elements.filter(
+		( elementData ) => elementData.isLCPCandidate
+	);
+	yield trimmedUrlMetric;
+
+	const priorities = [ ...new Set( trimPriorities.values() ) ].sort(
+		( a, b ) => a - b
+	);
+	for ( const priority of priorities ) {
+		for ( const [ key, keyPriority ] of trimPriorities.entries() ) {
+			if ( keyPriority !== priority ) {
+				continue;
+			}
+			if ( ! reservedRootPropertyKeys.has( key ) ) {
+				Reflect.deleteProperty( trimmedUrlMetric, key );
+			}
+			if ( ! reservedElementPropertyKeys.has( key ) ) {
+				for ( const elementData of trimmedUrlMetric.elements ) {
+					Reflect.deleteProperty( elementData, key );
+				}
+			}
+		}
+		yield trimmedUrlMetric;
+	}
+}
 
 /**
- * Debounces the compression of the URL Metric.
+ * Gets the LCP data for the URL Metric from an LCP metric.
+ *
+ * When the web-vitals attribution build is used, the timing breakdown is obtained from the attribution. Otherwise, it
+ * is computed in the same way as the attribution build does. The timing breakdown is always included, but the details
+ * about the LCP resource are only included when the LCP element is in the initial viewport. Otherwise, such as when the
+ * page was scrolled or the viewport was re-targeted, they would describe a resource which should not be prioritized.
+ *
+ * @param {LCPMetric|LCPMetricWithAttribution} lcpMetric           - LCP metric.
+ * @param {boolean}                            isInInitialViewport - Whether the LCP element is in the initial viewport.
+ * @return {LCPData} LCP data.
  */
-function debounceCompressUrlMetric() {
-	if ( ! compressionEnabled ) {
-		return;
-	}
-	if ( null !== recompressionTimeout ) {
-		clearTimeout( recompressionTimeout );
-		recompressionTimeout = null;
+function getLCPData( lcpMetric, isInInitialViewport ) {
+	const lcpEntry = /** @type {LargestContentfulPaint|undefined} */ (
+		lcpMetric.entries[ lcpMetric.entries.length - 1 ]
+	);
+	const lcpUrl = lcpEntry?.url || null;
+
+	const resourceEntry = lcpUrl
+		? /** @type {PerformanceResourceTiming|undefined} */ (
+				performance
+					.getEntriesByType( 'resource' )
+					.find( ( entry ) => entry.name === lcpUrl )
+		  )
+		: undefined;
+
+	/** @type {Pick<LCPData, 'timeToFirstByte'|'resourceLoadDelay'|'resourceLoadDuration'|'elementRenderDelay'>} */
+	let breakdown;
+	if ( 'attribution' in lcpMetric ) {
+		breakdown = lcpMetric.attribution;
+	} else {
+		const navigationEntry =
+			/** @type {PerformanceNavigationTiming|undefined} */ (
+				performance.getEntriesByType( 'navigation' )[ 0 ]
+			);
+		const activationStart =
+			/** @type {number|undefined} */ (
+				navigationEntry?.activationStart
+			) || 0;
+		const timeToFirstByte = Math.max(
+			0,
+			( navigationEntry?.responseStart || 0 ) - activationStart
+		);
+		const requestStart = Math.max(
+			timeToFirstByte,
+			resourceEntry
+				? ( resourceEntry.requestStart || resourceEntry.startTime ) -
+						activationStart
+				: 0
+		);
+		const responseEnd = Math.max(
+			requestStart,
+			resourceEntry ? resourceEntry.responseEnd - activationStart : 0
+		);
+		const renderTime = Math.max( responseEnd, lcpMetric.value );
+		breakdown = {
+			timeToFirstByte,
+			resourceLoadDelay: requestStart - timeToFirstByte,
+			resourceLoadDuration: responseEnd - requestStart,
+			elementRenderDelay: renderTime - responseEnd,
+		};
 	}
-	if (
-		null !== idleCallbackHandle &&
+
+	// Determine whether the LCP resource was preloaded by a matching preload link. Note that the initiator type of the
+	// resource is not indicative of this, since it is also 'link' for a stylesheet or icon.
+	let isPreloaded = false;
+	if ( isInInitialViewport && lcpUrl ) {
+		try {
+			for ( const link of doc.querySelectorAll(
+				'link[rel~="preload"]'
+			) ) {
+				const preloadLink = /** @type {HTMLLinkElement} */ ( link );
+				if (
+					preloadLink.href === lcpUrl ||
+					preloadLink.imageSrcset
+						?.split( ',' )
+						.some(
+							( candidate ) =>
+								new URL(
+									candidate.trim().split( /\s+/ )[ 0 ],
+									doc.baseURI
+								).href === lcpUrl
+						)
+				) {
+					isPreloaded = true;
+					break;
+				}
+			}
+		} catch ( err ) {}
+	}
+
+	return {
+		value: lcpMetric.value,
+		timeToFirstByte: breakdown.timeToFirstByte,
+		resourceLoadDelay: breakdown.resourceLoadDelay,
+		resourceLoadDuration: breakdown.resourceLoadDuration,
+		elementRenderDelay: breakdown.elementRenderDelay,
+		// Data URLs are omitted since they can be very large and there is nothing to preload.
+		url:
+			isInInitialViewport && lcpUrl && ! lcpUrl.startsWith( 'data:' )
+				? lcpUrl
+				: null,
+		initiatorType: isInInitialViewport
+			? resourceEntry?.initiatorType || null
+			: null,
+		isPreloaded,
+	};
+}
+
+/**
+ * Navigator with the non-standard APIs for device memory and network information.
+ *
+ * @typedef {Navigator & {deviceMemory?: number, connection?: {effectiveType?: string, saveData?: boolean}}} DeviceNavigator
+ */
+
+/**
+ * Gets the device on which the URL Metric is being captured.
+ *
+ * The device memory and hardware concurrency are omitted when the browser does not expose them.
+ *
+ * @return {DeviceData} Device data.
+ */
+function getDeviceData() {
+	const navigator = /** @type {DeviceNavigator} */ ( win.navigator );
+
+	/** @type {DeviceData} */
+	const deviceData = {
+		pixelRatio: win.devicePixelRatio,
+		prefersReducedMotion: win.matchMedia(
+			'(prefers-reduced-motion: reduce)'
+		).matches,
+		prefersColorScheme: win.matchMedia( '(prefers-color-scheme: dark)' )
+			.matches
+			? 'dark'
+			: 'light',
+	};
+	if ( navigator.deviceMemory > 0 ) {
+		deviceData.memory = navigator.deviceMemory;
+	}
+	if ( navigator.hardwareConcurrency > 0 ) {
+		deviceData.hardwareConcurrency = navigator.hardwareConcurrency;
+	}
+	return deviceData;
+}
+
+/**
+ * Gets the network over which the URL Metric is being captured.
+ *
+ * The effective connection type and the Save-Data preference are omitted when the Network Information API is not
+ * available. Note that the Save-Data preference is only ever recorded as false since detection is skipped when it is on.
+ *
+ * @return {NetworkData} Network data.
+ */
+function getNetworkData() {
+	const { connection } = /** @type {DeviceNavigator} */ ( win.navigator );
+
+	/** @type {NetworkData} */
+	const networkData = {};
+	if (
+		[ 'slow-2g', '2g', '3g', '4g' ].includes( connection?.effectiveType )
+	) {
+		networkData.effectiveType =
+			/** @type {NetworkData['effectiveType']} */ (
+				connection.effectiveType
+			);
+	}
+	if ( typeof connection?.saveData === 'boolean' ) {
+		networkData.saveData = connection.saveData;
+	}
+	return networkData;
+}
+
+/**
+ * Long animation frame performance entry.
+ *
+ * This is defined here since the Long Animation Frames API is not yet part of the TypeScript DOM types.
+ *
+ * @typedef {PerformanceEntry & {blockingDuration: number, scripts: Array<PerformanceEntry & {invokerType: string, sourceURL: string}>}} LongAnimationFrameTiming
+ */
+
+/**
+ * Maximum number of the worst long animation frames which are recorded.
+ *
+ * @see {getLongAnimationFrameData}
+ * @type {number}
+ */
+const maxLongAnimationFrames = 10;
+
+/**
+ * Maximum number of scripts which are recorded for the worst long animation frames.
+ *
+ * @see {getLongAnimationFrameData}
+ * @type {number}
+ */
+const maxLongAnimationFrameScripts = 10;
+
+/**
+ * Gets the data for the worst long animation frames, with the scripts which ran during them aggregated by URL.
+ *
+ * Aggregating by script URL keeps the payload small while still allowing the server to identify the scripts (e.g.
+ * from plugins) which are responsible for poor responsiveness. Scripts without an HTTP(S) URL are omitted.
+ *
+ * @param {LongAnimationFrameTiming[]} worstFrames - Worst long animation frames, sorted by descending duration.
+ * @param {number}                     frameCount  - Total number of long animation frames which were observed.
+ * @return {LongAnimationFrameData} Long animation frame data.
+ */
+function getLongAnimationFrameData( worstFrames, frameCount ) {
+	/** @type {Map<string, LongAnimationFrameScriptData>} */
+	const scripts = new Map();
+	for ( const frame of worstFrames ) {
+		for ( const script of frame.scripts ) {
+			if ( ! /^https?:/.test( script.sourceURL ) ) {
+				continue;
+			}
+			const scriptData = scripts.get( script.sourceURL ) ?? {
+				url: script.sourceURL,
+				invokerTypes: [],
+				count: 0,
+				duration: 0,
+			};
+			if ( ! scriptData.invokerTypes.includes( script.invokerType ) ) {
+				scriptData.invokerTypes.push( script.invokerType );
+			}
+			scriptData.count++;
+			scriptData.duration += script.duration;
+			scripts.set( script.sourceURL, scriptData );
+		}
+	}
+
+	return {
+		count: frameCount,
+		frames: worstFrames.map( ( frame ) => ( {
+			startTime: Math.round( frame.startTime ),
+			duration: Math.round( frame.duration ),
+			blockingDuration: Math.round( frame.blockingDuration ),
+		} ) ),
+		scripts: [ ...scripts.values() ]
+			.sort( ( a, b ) => b.duration - a.duration )
+			.slice( 0, maxLongAnimationFrameScripts )
+			.map( ( scriptData ) => ( {
+				...scriptData,
+				duration: Math.round( scriptData.duration ),
+			} ) ),
+	};
+}
+
+/**
+ * Maximum number of elements containing text which are inspected for the web fonts used in the initial viewport.
+ *
+ * @see {getFontData}
+ * @type {number}
+ */
+const maxFontUsageTextElements = 500;
+
+/**
+ * Normalizes a font family name for comparison.
+ *
+ * @param {string} family - Font family name, which may be quoted.
+ * @return {string} Normalized font family name.
+ */
+function normalizeFontFamily( family ) {
+	return family
+		.trim()
+		.replace( /^(["'])(.*)\1$/, '$2' )
+		.toLowerCase();
+}
+
+/**
+ * Parses the range of a font weight descriptor.
+ *
+ * @param {string} weight - Font weight descriptor, e.g. `normal`, `700`, or `100 900`.
+ * @return {[number, number]} Minimum and maximum weight.
+ */
+function parseFontWeightRange( weight ) {
+	const values = weight
+		.trim()
+		.split( /\s+/ )
+		.map( ( value ) => {
+			if ( value === 'normal' ) {
+				return 400;
+			}
+			if ( value === 'bold' ) {
+				return 700;
+			}
+			return parseFloat( value );
+		} );
+	return [ values[ 0 ], values[ values.length - 1 ] ];
+}
+
+/**
+ * Gets a key which identifies a font face by its family, weight, and style descriptors.
+ *
+ * @param {string} family - Font family descriptor.
+ * @param {string} weight - Font weight descriptor.
+ * @param {string} style  - Font style descriptor.
+ * @return {string} Key.
+ */
+function getFontFaceKey( family, weight, style ) {
+	return [
+		normalizeFontFamily( family ),
+		parseFontWeightRange( weight || 'normal' ).join( ' ' ),
+		( style || 'normal' ).trim().toLowerCase(),
+	].join( '|' );
+}
+
+/**
+ * Gets the URLs for the sources of the font faces declared in the stylesheets on the page.
+ *
+ * Since the FontFace interface does not expose the source, it is obtained from the `@font-face` rules. Note that the
+ * rules in cross-origin stylesheets are not accessible.
+ *
+ * @return {Map<string, string>} Font face source URLs keyed by font face.
+ */
+function getFontFaceRuleUrls() {
+	/** @type {Map<string, string>} */
+	const urls = new Map();
+	for ( const styleSheet of doc.styleSheets ) {
+		/** @type {CSSRuleList} */
+		let rules;
+		try {
+			rules = styleSheet.cssRules;
+		} catch ( err ) {
+			continue;
+		}
+		for ( const rule of rules ) {
+			if ( ! ( rule instanceof CSSFontFaceRule ) ) {
+				continue;
+			}
+			const match = rule.style
+				.getPropertyValue( 'src' )
+				.match( /url\(\s*["']?([^"')]+)["']?\s*\)/ );
+			if ( ! match || match[ 1 ].startsWith( 'data:' ) ) {
+				continue;
+			}
+			urls.set(
+				getFontFaceKey(
+					rule.style.getPropertyValue( 'font-family' ),
+					rule.style.getPropertyValue( 'font-weight' ),
+					rule.style.getPropertyValue( 'font-style' )
+				),
+				new URL( match[ 1 ], styleSheet.href || doc.baseURI ).href
+			);
+		}
+	}
+	return urls;
+}
+
+/**
+ * Finds the loaded font face which is used to render text with the provided computed style.
+ *
+ * This approximates the font matching done by the browser: the first family in the font family list which has a
+ * loaded font face is used, preferring a font face with a matching style and then one with the nearest weight.
+ *
+ * @param {FontFace[]}          loadedFontFaces - Loaded font faces.
+ * @param {CSSStyleDeclaration} style           - Computed style.
+ * @return {?FontFace} Font face, or null if no web font is used.
+ */
+function findUsedFontFace( loadedFontFaces, style ) {
+	const weight = parseFloat( style.fontWeight );
+	const isItalic = style.fontStyle !== 'normal';
+
+	/**
+	 * Gets the distance of a font face from the computed style, where lower is a better match.
+	 *
+	 * @param {FontFace} fontFace - Font face.
+	 * @return {number} Distance.
+	 */
+	const getDistance = ( fontFace ) => {
+		const [ minWeight, maxWeight ] = parseFontWeightRange(
+			fontFace.weight
+		);
+		return (
+			( ( fontFace.style !== 'normal' ) !== isItalic ? 1000 : 0 ) +
+			Math.max( minWeight - weight, weight - maxWeight, 0 )
+		);
+	};
+
+	for ( const family of style.fontFamily.split( ',' ) ) {
+		const candidates = loadedFontFaces.filter(
+			( fontFace ) =>
+				normalizeFontFamily( fontFace.family ) ===
+				normalizeFontFamily( family )
+		);
+		if ( candidates.length > 0 ) {
+			return candidates.reduce( ( bestMatch, candidate ) =>
+				getDistance( candidate ) < getDistance( bestMatch )
+					? candidate
+					: bestMatch
+			);
+		}
+	}
+	return null;
+}
+
+/**
+ * Gets the web fonts which were loaded and used to render the text in the provided elements in the initial viewport.
+ *
+ * @param {Element[]} elements - Breadcrumbed elements in the initial viewport.
+ * @return {FontData[]} Font data.
+ */
+function getFontData( elements ) {
+	if ( ! doc.fonts ) {
+		return [];
+	}
+	const loadedFontFaces = [ ...doc.fonts ].filter(
+		( fontFace ) => fontFace.status === 'loaded'
+	);
+	if ( loadedFontFaces.length === 0 ) {
+		return [];
+	}
+
+	/** @type {Set<FontFace>} */
+	const usedFontFaces = new Set();
+
+	/** @type {Set<Element>} */
+	const textElements = new Set();
+
+	for ( const element of elements ) {
+		const currentScrollOffset = isFixedToViewport( element )
+			? { x: 0, y: 0 }
+			: { x: win.scrollX, y: win.scrollY };
+		const walker = doc.createTreeWalker( element, NodeFilter.SHOW_TEXT );
+		while (
+			textElements.size < maxFontUsageTextElements &&
+			walker.nextNode()
+		) {
+			const textElement = walker.currentNode.parentElement;
+			if (
+				! textElement ||
+				textElements.has( textElement ) ||
+				walker.currentNode.textContent.trim() === ''
+			) {
+				continue;
+			}
+			textElements.add( textElement );
+			if (
+				getInitialViewportIntersection(
+					textElement.getBoundingClientRect(),
+					currentScrollOffset
+				).intersectionRatio === 0
+			) {
+				continue;
+			}
+			const usedFontFace = findUsedFontFace(
+				loadedFontFaces,
+				win.getComputedStyle( textElement )
+			);
+			if ( usedFontFace ) {
+				usedFontFaces.add( usedFontFace );
+			}
+		}
+	}
+
+	const fontFaceRuleUrls = getFontFaceRuleUrls();
+	return [ ...usedFontFaces ].map( ( fontFace ) => ( {
+		family: fontFace.family.replace( /^(["'])(.*)\1$/, '$2' ),
+		weight: fontFace.weight,
+		style: fontFace.style,
+		url:
+			fontFaceRuleUrls.get(
+				getFontFaceKey(
+					fontFace.family,
+					fontFace.weight,
+					fontFace.style
+				)
+			) ?? null,
+		// With a font-display of block (or auto, which is block in most browsers), text is invisible until the font loads.
+		blockedTextRendering:
+			fontFace.display === 'auto' || fontFace.display === 'block',
+	} ) );
+}
+
+/**
+ * Gets the URLs for the CSS background images of an element.
+ *
+ * The computed value of `background-image` has its URLs resolved to be absolute, for example `url("https://example.com/hero.jpg")`.
+ * There may be multiple URLs when there are multiple backgrounds or when `image-set()` is used. Gradients are omitted
+ * since they are not resources which can be preloaded, as are data: URLs since there is nothing to preload.
+ *
+ * @param {Element} element - Element.
+ * @return {string[]} Background image URLs.
+ */
+function getBackgroundImageUrls( element ) {
+	/** @type {string[]} */
+	const urls = [];
+	const { backgroundImage } = win.getComputedStyle( element );
+	if ( ! backgroundImage || backgroundImage === 'none' ) {
+		return urls;
+	}
+	for ( const match of backgroundImage.matchAll(
+		/url\(\s*"((?:[^"\\]|\\.)*)"\s*\)/g
+	) ) {
+		const url = match[ 1 ].replace( /\\(.)/g, '$1' );
+		if ( ! url.startsWith( 'data:' ) && ! urls.includes( url ) ) {
+			urls.push( url );
+		}
+	}
+	return urls;
+}
+
+/**
+ * Gets the size of the content box of an element in CSS pixels, which for a replaced element is the size at which its
+ * image is rendered (prior to any transforms).
+ *
+ * @param {Element} element - Element.
+ * @return {{width: number, height: number}} Content box size.
+ */
+function getContentBoxSize( element ) {
+	const { paddingLeft, paddingRight, paddingTop, paddingBottom } =
+		win.getComputedStyle( element );
+	return {
+		width: Math.max(
+			0,
+			element.clientWidth -
+				parseFloat( paddingLeft ) -
+				parseFloat( paddingRight )
+		),
+		height: Math.max(
+			0,
+			element.clientHeight -
+				parseFloat( paddingTop ) -
+				parseFloat( paddingBottom )
+		),
+	};
+}
+
+/**
+ * Images for the posters of breadcrumbed VIDEO elements, which are used to obtain the intrinsic size of the posters.
+ *
+ * @type {WeakMap<HTMLVideoElement, HTMLImageElement>}
+ */
+const videoPosterImages = new WeakMap();
+
+/**
+ * Gets the image which is rendered for a breadcrumbed element.
+ *
+ * For a PICTURE element this is its IMG, and for a VIDEO element this is an image for its poster, which is expected
+ * to already be in the browser cache.
+ *
+ * @param {Element} element - Element.
+ * @return {?HTMLImageElement} Image, or null if the element does not render an image.
+ */
+function getRenderedImage( element ) {
+	if ( element instanceof HTMLImageElement ) {
+		return element;
+	}
+	if ( element instanceof HTMLPictureElement ) {
+		return element.querySelector( 'img' );
+	}
+	if ( element instanceof HTMLVideoElement && element.poster ) {
+		let posterImage = videoPosterImages.get( element );
+		if ( ! posterImage || posterImage.src !== element.poster ) {
+			posterImage = new Image();
+			posterImage.src = element.poster;
+			videoPosterImages.set( element, posterImage );
+		}
+		return posterImage;
+	}
+	return null;
+}
+
+/**
+ * Gets the intersection of an element with the initial viewport when the page was not scrolled to the top.
+ *
+ * The bounding rect (e.g. as reported by the intersection observer) is relative to the current (scrolled) viewport, so
+ * it is translated to be relative to the document, as if the page had been scrolled to the top. The intersection with
+ * the initial viewport is then computed from the translated bounding rect. Note that this does not account for clipping
+ * by ancestors with overflow, unlike the intersection computed by the intersection observer itself. Elements without
+ * an area (e.g. those which are not rendered) are considered to not be intersecting.
+ *
+ * @param {DOMRectReadOnly} boundingClientRect - Bounding rect for the element relative to the current viewport.
+ * @param {ScrollOffset}    scrollOffset       - Scroll offset at which the bounding rect was captured.
+ * @return {{intersectionRatio: number, intersectionRect: DOMRectReadOnly, boundingClientRect: DOMRectReadOnly}} Initial-viewport intersection.
+ */
+function getInitialViewportIntersection( boundingClientRect, scrollOffset ) {
+	const documentRect = getDocumentRect( boundingClientRect, scrollOffset );
+
+	const left = Math.max( documentRect.left, 0 );
+	const top = Math.max( documentRect.top, 0 );
+	const right = Math.min( documentRect.right, win.innerWidth );
+	const bottom = Math.min( documentRect.bottom, win.innerHeight );
+
+	if ( right < left || bottom < top ) {
+		return {
+			intersectionRatio: 0,
+			intersectionRect: new DOMRectReadOnly( 0, 0, 0, 0 ),
+			boundingClientRect: documentRect,
+		};
+	}
+
+	const intersectionRect = new DOMRectReadOnly(
+		left,
+		top,
+		right - left,
+		bottom - top
+	);
+	const boundingArea = documentRect.width * documentRect.height;
+	return {
+		intersectionRatio:
+			boundingArea > 0
+				? Math.min(
+						( intersectionRect.width * intersectionRect.height ) /
+							boundingArea,
+						1
+				  )
+				: 0,
+		intersectionRect,
+		boundingClientRect: documentRect,
+	};
+}
+
+/**
+ * Compresses a JSON string using CompressionStream API.
+ *
+ * @param {string} jsonString - JSON string to compress.
+ * @return {Promise<Blob>} Compressed data.
+ */
+async function compress( jsonString ) {
+	const encodedData = new TextEncoder().encode( jsonString );
+	const compressedDataStream = new Blob( [ encodedData ] )
+		.stream()
+		.pipeThrough( new CompressionStream( 'gzip' ) );
+	const compressedDataBuffer = await new Response(
+		compressedDataStream
+	).arrayBuffer();
+	return new Blob( [ compressedDataBuffer ], { type: 'application/gzip' } );
+}
+
+/**
+ * The compressed URL metric data.
+ *
+ * @see {debounceCompressUrlMetric}
+ * @type {?Blob}
+ */
+let compressedPayload = null;
+
+/**
+ * The JSON serialization of the URL Metric from which the compressed payload was made.
+ *
+ * This is used to determine whether the compressed payload is up to date with the URL Metric being submitted.
+ *
+ * @see {debounceCompressUrlMetric}
+ * @type {?string}
+ */
+let compressedJsonBody = null;
+
+/**
+ * Timeout ID for debouncing URL metric compression.
+ *
+ * @see {debounceCompressUrlMetric}
+ * @type {?ReturnType<typeof setTimeout>}
+ */
+let recompressionTimeout = null;
+
+/**
+ * Handle for requestIdleCallback for URL metric compression.
+ *
+ * @see {debounceCompressUrlMetric}
+ * @type {?number}
+ */
+let idleCallbackHandle = null;
+
+/**
+ * Whether compression is enabled.
+ *
+ * @see {detect}
+ * @see {debounceCompressUrlMetric}
+ * @type {boolean}
+ */
+let compressionEnabled = true;
+
+/**
+ * Cancels any pending compression of the URL Metric.
+ */
+function cancelCompressUrlMetric() {
+	if ( null !== recompressionTimeout ) {
+		clearTimeout( recompressionTimeout );
+		recompressionTimeout = null;
+	}
+	if (
+		null !== idleCallbackHandle &&
 		typeof cancelIdleCallback === 'function'
 	) {
 		cancelIdleCallback( idleCallbackHandle );
 		idleCallbackHandle = null;
 	}
-	recompressionTimeout = setTimeout( async () => {
-		if ( typeof requestIdleCallback === 'function' ) {
-			await new Promise( ( resolve ) => {
-				idleCallbackHandle = requestIdleCallback( resolve );
-			} );
-			idleCallbackHandle = null;
+}
+
+/**
+ * Debounces the compression of the URL Metric.
+ */
+function debounceCompressUrlMetric() {
+	if ( ! compressionEnabled ) {
+		return;
+	}
+	cancelCompressUrlMetric();
+	recompressionTimeout = setTimeout( async () => {
+		if ( typeof requestIdleCallback === 'function' ) {
+			await new Promise( ( resolve ) => {
+				idleCallbackHandle = requestIdleCallback( resolve );
+			} );
+			idleCallbackHandle = null;
+		}
+		try {
+			const jsonBody = JSON.stringify( urlMetric );
+			compressedPayload = await compress( jsonBody );
+			compressedJsonBody = jsonBody;
+		} catch ( err ) {
+			const { error } = createLogger( false, consoleLogPrefix );
+			error(
+				'Failed to compress URL Metric falling back to sending uncompressed data:',
+				err
+			);
+			compressionEnabled = false;
+		}
+		recompressionTimeout = null;
+	}, compressionDebounceWaitDuration );
+}
+
+/**
+ * Checks whether fetch() supports the keepalive option, which allows a request to outlive the page.
+ *
+ * @return {boolean} Whether keepalive is supported.
+ */
+function isFetchKeepaliveSupported() {
+	return typeof Request === 'function' && 'keepalive' in Request.prototype;
+}
+
+/**
+ * Sends a request to the REST API endpoint for storing URL Metrics.
+ *
+ * When fetch() with keepalive is not supported, the request is sent via navigator.sendBeacon() so that it is not
+ * aborted when the page is unloaded. Since a beacon cannot have custom headers, this is only possible when the body is
+ * not compressed. As a last resort, a regular fetch() is used.
+ *
+ * @param {URL}                    url     - Request URL.
+ * @param {Record<string, string>} headers - Request headers.
+ * @param {Blob}                   body    - Request body.
+ * @return {Promise<?Response>} Response, or null if the request was sent as a beacon for which no response is available.
+ */
+async function sendStoreRequest( url, headers, body ) {
+	const keepaliveSupported = isFetchKeepaliveSupported();
+	if (
+		! keepaliveSupported &&
+		! ( 'Content-Encoding' in headers ) &&
+		typeof navigator.sendBeacon === 'function' &&
+		navigator.sendBeacon( url, body )
+	) {
+		return null;
+	}
+	return fetch(
+		new Request( url, {
+			method: 'POST',
+			body,
+			headers,
+			keepalive: keepaliveSupported, // This makes fetch() behave the same as navigator.sendBeacon().
+		} )
+	);
+}
+
+/**
+ * URL Metric submission which is pending in the outbox.
+ *
+ * @typedef {Object}                 OutboxEntry
+ * @property {string}                uuid      - UUID for the URL Metric, which the REST API uses to avoid storing it more than once.
+ * @property {string}                url       - REST API endpoint URL, including the slug, ETag, HMAC, and nonce query parameters.
+ * @property {Object<string,string>} headers   - Request headers.
+ * @property {Blob}                  body      - Request body.
+ * @property {number}                timestamp - Time in milliseconds when the URL Metric was first submitted.
+ * @property {number|null}           expires   - Time in milliseconds after which the URL Metric is discarded, or null if it does not expire.
+ * @property {number}                attempts  - Number of attempts made to submit the URL Metric.
+ */
+
+/**
+ * Converts an IndexedDB request into a promise.
+ *
+ * @template T
+ * @param {IDBRequest<T>} request - IndexedDB request.
+ * @return {Promise<T>} Promise resolving with the result of the request.
+ */
+function promisifyIndexedDBRequest( request ) {
+	return new Promise( ( resolve, reject ) => {
+		request.onsuccess = () => resolve( request.result );
+		request.onerror = () => reject( request.error );
+	} );
+}
+
+/**
+ * Opens the IndexedDB database for the outbox of URL Metrics which are pending submission.
+ *
+ * @return {Promise<IDBDatabase>} Database.
+ */
+function openOutbox() {
+	const request = win.indexedDB.open( outboxDatabaseName, 1 );
+	request.onupgradeneeded = () => {
+		request.result.createObjectStore( outboxObjectStoreName, {
+			keyPath: 'uuid',
+		} );
+	};
+	return promisifyIndexedDBRequest( request );
+}
+
+/**
+ * Performs an operation on the outbox object store in a single transaction.
+ *
+ * @template T
+ * @param {IDBTransactionMode}                      mode     - Transaction mode.
+ * @param {function(IDBObjectStore): Promise<T>|T} callback - Callback which performs the operation on the object store.
+ * @return {Promise<T>} Promise resolving with the return value of the callback once the transaction completes.
+ */
+async function withOutboxObjectStore( mode, callback ) {
+	const db = await openOutbox();
+	try {
+		const transaction = db.transaction( outboxObjectStoreName, mode );
+		const completion = new Promise( ( resolve, reject ) => {
+			transaction.oncomplete = resolve;
+			transaction.onerror = () => reject( transaction.error );
+			transaction.onabort = () => reject( transaction.error );
+		} );
+		const result = await callback(
+			transaction.objectStore( outboxObjectStoreName )
+		);
+		await completion;
+		return result;
+	} finally {
+		db.close();
+	}
+}
+
+/**
+ * Adds a URL Metric submission to the outbox so that it can be retried if it fails.
+ *
+ * When the outbox is full, the oldest entries are discarded to make room.
+ *
+ * @param {OutboxEntry} entry - Outbox entry.
+ * @return {Promise<void>}
+ */
+function addToOutbox( entry ) {
+	return withOutboxObjectStore( 'readwrite', async ( objectStore ) => {
+		/** @type {OutboxEntry[]} */
+		const entries = await promisifyIndexedDBRequest( objectStore.getAll() );
+		entries.sort( ( a, b ) => a.timestamp - b.timestamp );
+		while ( entries.length >= maxOutboxSize ) {
+			objectStore.delete( entries.shift().uuid );
+		}
+		objectStore.put( entry );
+	} );
+}
+
+/**
+ * Removes a URL Metric submission from the outbox.
+ *
+ * @param {string} uuid - UUID for the URL Metric.
+ * @return {Promise<void>}
+ */
+function removeFromOutbox( uuid ) {
+	return withOutboxObjectStore( 'readwrite', ( objectStore ) => {
+		objectStore.delete( uuid );
+	} );
+}
+
+/**
+ * Determines whether submitting a URL Metric should be retried later given the response from the REST API.
+ *
+ * Server errors, rate limiting, and the server-side storage lock are transient, whereas other client errors (e.g.
+ * invalid data, an invalid HMAC, or a complete viewport group) would only be repeated on a retry.
+ *
+ * @param {Response} response - Response.
+ * @return {boolean} Whether the submission should be retried.
+ */
+function isRetryableResponse( response ) {
+	return (
+		response.status >= 500 ||
+		response.status === 423 ||
+		response.status === 429
+	);
+}
+
+/**
+ * Response data from the REST API endpoint for storing a URL Metric.
+ *
+ * This is either the data for a successful response or the data for a WP_Error.
+ *
+ * @typedef {Object}  StoreResponseData
+ * @property {boolean} [success]          - Whether the URL Metric was stored.
+ * @property {number}  [storage_lock_ttl] - Remaining TTL (in seconds) of the server-side storage lock.
+ * @property {string}  [update_token]     - Token which authorizes a subsequent update to the stored URL Metric.
+ * @property {string}  [code]             - Error code.
+ * @property {string}  [message]          - Error message.
+ * @property {{status: number, storage_lock_ttl?: number, params?: Object<string, string>, details?: Object<string, Object>}} [data] - Error data.
+ */
+
+/**
+ * Handles the response from the REST API endpoint for storing a URL Metric.
+ *
+ * This aligns the client-side storage lock with the server-side storage lock, logs why a URL Metric was rejected, and
+ * clears the already-submitted sessionStorage key when the URL Metric was rejected due to its data so that another may
+ * be submitted.
+ *
+ * @param {Response}    response                          - Response.
+ * @param {number}      storageLockTTL                    - The TTL (in seconds) for the client-side storage lock.
+ * @param {string|null} alreadySubmittedSessionStorageKey - Session storage key for the URL Metric having been submitted.
+ * @param {boolean}     isQueuedForRetry                  - Whether the submission is in the outbox to be retried.
+ * @param {Logger}      logger                            - Logger.
+ * @return {Promise<StoreResponseData>} Response data.
+ */
+async function handleStoreResponse(
+	response,
+	storageLockTTL,
+	alreadySubmittedSessionStorageKey,
+	isQueuedForRetry,
+	{ log, warn, error }
+) {
+	/** @type {StoreResponseData} */
+	let data = {};
+	try {
+		data = await response.json();
+	} catch ( err ) {}
+
+	// Since the client-side storage lock TTL may be stale (e.g. due to page caching), sync it with the server's.
+	const serverStorageLockTTL =
+		data?.storage_lock_ttl ?? data?.data?.storage_lock_ttl;
+	if ( typeof serverStorageLockTTL === 'number' ) {
+		setStorageLock(
+			getCurrentTime() + ( serverStorageLockTTL - storageLockTTL ) * 1000
+		);
+	}
+
+	if ( response.ok ) {
+		log( 'URL Metric was stored.' );
+		return data;
+	}
+
+	const reason = `${ response.status } ${
+		data?.code || response.statusText
+	}: ${ data?.message || '' }`;
+	if ( isQueuedForRetry && isRetryableResponse( response ) ) {
+		warn(
+			`URL Metric was not stored (${ reason }). It will be retried on a subsequent page load.`
+		);
+		return data;
+	}
+
+	// Allow the client to submit another URL Metric since this one was rejected due to its data (i.e. it was invalid or too
+	// large). Otherwise, such as when the storage is locked or the group is complete, another would be rejected as well.
+	if (
+		null !== alreadySubmittedSessionStorageKey &&
+		( response.status === 400 || response.status === 413 )
+	) {
+		try {
+			sessionStorage.removeItem( alreadySubmittedSessionStorageKey );
+		} catch ( err ) {}
+	}
+
+	if (
+		response.status === 423 ||
+		data?.code === 'url_metric_group_complete'
+	) {
+		warn( `URL Metric was not stored (${ reason }).` );
+	} else if ( data?.data?.params || data?.data?.details ) {
+		error(
+			`URL Metric was rejected (${ reason })`,
+			data.data.params,
+			data.data.details
+		);
+	} else {
+		error( `URL Metric was rejected (${ reason }).` );
+	}
+
+	return data;
+}
+
+/**
+ * Args for the flushOutbox function.
+ *
+ * @since n.e.x.t
+ *
+ * @typedef {Object} FlushOutboxFunctionArgs
+ * @property {boolean} isDebug        - Whether to show debug messages.
+ * @property {number}  storageLockTTL - The TTL (in seconds) for the URL Metric storage lock.
+ */
+
+/**
+ * Retries submitting the URL Metrics in the outbox which previously failed to be submitted.
+ *
+ * This is called by the detect loader on every page load once detection has started, so that detection is not held up
+ * by it. Nevertheless, the submissions are aborted if they have not all completed within the maximum flush duration so
+ * that a slow REST API endpoint does not keep the page busy. The aborted submissions remain in the outbox to be retried
+ * on a subsequent page load.
+ *
+ * @since n.e.x.t
+ *
+ * @param {FlushOutboxFunctionArgs} args - Args.
+ * @return {Promise<void>}
+ */
+export async function flushOutbox( { isDebug, storageLockTTL } ) {
+	if ( ! win.indexedDB ) {
+		return;
+	}
+	const logger = createLogger( isDebug, consoleLogPrefix );
+	const { log, warn } = logger;
+
+	/** @type {OutboxEntry[]} */
+	let entries;
+	try {
+		entries = await withOutboxObjectStore( 'readonly', ( objectStore ) =>
+			promisifyIndexedDBRequest( objectStore.getAll() )
+		);
+	} catch ( err ) {
+		warn( 'Unable to read the URL Metric outbox:', err );
+		return;
+	}
+
+	const controller = new AbortController();
+	const timeout = setTimeout( () => {
+		controller.abort();
+	}, maxOutboxFlushDuration );
+
+	entries.sort( ( a, b ) => a.timestamp - b.timestamp );
+	for ( const entry of entries ) {
+		if ( controller.signal.aborted ) {
+			warn(
+				'Timed out retrying submissions of URL Metrics from outbox; they will be retried on a subsequent page load.'
+			);
+			break;
 		}
 		try {
-			compressedPayload = await compress( JSON.stringify( urlMetric ) );
+			if (
+				( null !== entry.expires &&
+					getCurrentTime() > entry.expires ) ||
+				entry.attempts >= maxOutboxSubmissionAttempts
+			) {
+				log( 'Discarding stale URL Metric from outbox.' );
+				await removeFromOutbox( entry.uuid );
+				continue;
+			}
+
+			// An update is only authorized with the token which the REST API returned when the URL Metric was stored. Without
+			// it, the initial submission never succeeded, so the URL Metric is submitted as new rather than as an update.
+			const url = new URL( entry.url );
+			if (
+				url.searchParams.has( 'update' ) &&
+				! url.searchParams.has( 'update_token' )
+			) {
+				url.searchParams.delete( 'update' );
+			}
+
+			// Since the server would reject a new submission while the storage lock is in effect, try again on a later page
+			// load. An authorized update is exempt from the storage lock.
+			if (
+				! url.searchParams.has( 'update' ) &&
+				isStorageLocked( getCurrentTime(), storageLockTTL )
+			) {
+				continue;
+			}
+
+			await withOutboxObjectStore( 'readwrite', ( objectStore ) => {
+				objectStore.put( { ...entry, attempts: entry.attempts + 1 } );
+			} );
+
+			log( 'Retrying submission of URL Metric from outbox.' );
+			const response = await fetch(
+				new Request( url, {
+					method: 'POST',
+					body: entry.body,
+					headers: entry.headers,
+					keepalive: isFetchKeepaliveSupported(),
+					signal: controller.signal,
+				} )
+			);
+			if ( ! isRetryableResponse( response ) ) {
+				await removeFromOutbox( entry.uuid );
+			}
+
+			// The client-side storage lock is only aligned with the server's storage lock TTL in the response rather than being
+			// set here, since the REST API also responds with success for a URL Metric which it had already stored (e.g. one
+			// which was submitted when the page was unloaded, for which the response was never received).
+			await handleStoreResponse(
+				response,
+				storageLockTTL,
+				null,
+				entry.attempts + 1 < maxOutboxSubmissionAttempts,
+				logger
+			);
 		} catch ( err ) {
-			const { error } = createLogger( false, consoleLogPrefix );
-			error(
-				'Failed to compress URL Metric falling back to sending uncompressed data:',
+			warn(
+				'Unable to retry submission of URL Metric from outbox:',
 				err
 			);
-			compressionEnabled = false;
 		}
-		recompressionTimeout = null;
-	}, compressionDebounceWaitDuration );
+	}
+	clearTimeout( timeout );
 }
 
 /**
@@ -514,24 +2133,31 @@ function debounceCompressUrlMetric() {
  * @since 1.0.0
  *
  * @typedef {Object}                  DetectFunctionArgs
- * @property {string[]}               extensionModuleUrls        - URLs for extension script modules to import.
- * @property {number}                 minViewportAspectRatio     - Minimum aspect ratio allowed for the viewport.
- * @property {number}                 maxViewportAspectRatio     - Maximum aspect ratio allowed for the viewport.
- * @property {boolean}                isDebug                    - Whether to show debug messages.
- * @property {string}                 restApiEndpoint            - URL for where to send the detection data.
- * @property {string}                 [restApiNonce]             - Nonce for the REST API when the user is logged-in.
- * @property {boolean}                gzdecodeAvailable          - Whether application/gzip can be sent to the REST API.
- * @property {number}                 maxUrlMetricSize           - Maximum size of the URL Metric to send.
- * @property {string}                 currentETag                - Current ETag.
- * @property {string}                 currentUrl                 - Current URL.
- * @property {string}                 urlMetricSlug              - Slug for URL Metric.
- * @property {number|null}            cachePurgePostId           - Cache purge post ID.
- * @property {string}                 urlMetricHMAC              - HMAC for URL Metric storage.
- * @property {URLMetricGroupStatus[]} urlMetricGroupStatuses     - URL Metric group statuses.
- * @property {number}                 storageLockTTL             - The TTL (in seconds) for the URL Metric storage lock.
- * @property {number}                 freshnessTTL               - The freshness age (TTL) for a given URL Metric.
- * @property {string}                 webVitalsLibrarySrc        - The URL for the web-vitals library.
- * @property {CollectionDebugData}    [urlMetricGroupCollection] - URL Metric group collection, when in debug mode.
+ * @property {ExtensionModuleUrls}    extensionModuleUrls          - URLs for extension script modules to import, or a mapping of the URLs to the args passed to each extension.
+ * @property {number}                 minViewportAspectRatio       - Minimum aspect ratio allowed for the viewport.
+ * @property {number}                 maxViewportAspectRatio       - Maximum aspect ratio allowed for the viewport.
+ * @property {boolean}                isDebug                      - Whether to show debug messages.
+ * @property {boolean}                [isDryRun]                   - Whether to collect the URL Metric without submitting it, regardless of the group being complete or any lock.
+ * @property {boolean}                [isRestoredFromCache]        - Whether the page was restored from the back/forward cache, in which case it is a new visit for which a URL Metric may be submitted again.
+ * @property {string}                 restApiEndpoint              - URL for where to send the detection data.
+ * @property {string}                 [restApiNonce]               - Nonce for the REST API when the user is logged-in.
+ * @property {boolean}                gzdecodeAvailable            - Whether application/gzip can be sent to the REST API.
+ * @property {number}                 maxUrlMetricSize             - Maximum size of the URL Metric to send.
+ * @property {boolean}                observeInsertedElements      - Whether to observe breadcrumbed elements inserted after the initial intersection pass.
+ * @property {boolean}                [collectLongAnimationFrames] - Whether to collect the worst long animation frames and the scripts which caused them.
+ * @property {number}                 [extensionInitializeTimeout] - Time in milliseconds to wait for each extension to finish initializing, and for each beforeSubmit function to finish.
+ * @property {string}                 currentETag                  - Current ETag.
+ * @property {string}                 currentUrl                   - Current URL.
+ * @property {string}                 urlMetricSlug                - Slug for URL Metric.
+ * @property {number|null}            cachePurgePostId             - Cache purge post ID.
+ * @property {string}                 urlMetricHMAC                - HMAC for URL Metric storage.
+ * @property {URLMetricGroupStatus[]} urlMetricGroupStatuses       - URL Metric group statuses.
+ * @property {number}                 storageLockTTL               - The TTL (in seconds) for the URL Metric storage lock.
+ * @property {number}                 freshnessTTL                 - The freshness age (TTL) for a given URL Metric.
+ * @property {string}                 webVitalsLibrarySrc          - The URL for the web-vitals library.
+ * @property {CollectionDebugData}    [urlMetricGroupCollection]   - URL Metric group collection, when in debug mode.
+ * @property {string}                 [debugOverlaySrc]            - The URL for the debug overlay script module, when in debug mode and the overlay is enabled.
+ * @property {URLMetricSchema}        [urlMetricSchema]            - Schemas for the root and element properties of a URL Metric, when in debug mode.
  */
 
 /**
@@ -558,6 +2184,9 @@ export default async function detect( {
 	restApiNonce,
 	gzdecodeAvailable,
 	maxUrlMetricSize,
+	observeInsertedElements,
+	collectLongAnimationFrames = false,
+	extensionInitializeTimeout = 5000,
 	currentETag,
 	currentUrl,
 	urlMetricSlug,
@@ -568,10 +2197,39 @@ export default async function detect( {
 	freshnessTTL,
 	webVitalsLibrarySrc,
 	urlMetricGroupCollection,
+	debugOverlaySrc,
+	urlMetricSchema: schema,
+	isDryRun = false,
+	isRestoredFromCache = false,
 } ) {
+	// End the previous collection cycle, if any, such as when the page is restored from the back/forward cache.
+	collectionCycleAbortController?.abort();
+	collectionCycleAbortController = new AbortController();
+	const { signal } = collectionCycleAbortController;
+	urlMetric = undefined;
+	elementsByXPath.clear();
+	cancelCompressUrlMetric();
+	compressedPayload = null;
+	compressedJsonBody = null;
+
 	const logger = createLogger( isDebug, consoleLogPrefix );
 	const { log, warn, error } = logger;
-	compressionEnabled = gzdecodeAvailable;
+	// Compressed data can only be sent via fetch() since navigator.sendBeacon() does not allow a Content-Encoding header.
+	compressionEnabled =
+		gzdecodeAvailable &&
+		typeof CompressionStream === 'function' &&
+		isFetchKeepaliveSupported();
+	if ( gzdecodeAvailable && ! compressionEnabled ) {
+		log(
+			'URL Metric compression is disabled because it is not supported by the browser.'
+		);
+	}
+	urlMetricSchema = ( isDebug && schema ) || null;
+	if ( isDryRun ) {
+		log(
+			'Dry run: the URL Metric will be collected but not submitted, regardless of whether it is needed.'
+		);
+	}
 
 	if ( isDebug && Array.isArray( urlMetricGroupCollection?.groups ) ) {
 		const allUrlMetrics = /** @type Array<UrlMetricDebugData> */ [];
@@ -591,124 +2249,629 @@ export default async function detect( {
 		);
 	}
 
-	if ( win.innerWidth === 0 || win.innerHeight === 0 ) {
-		log(
-			'Window must have non-zero dimensions for URL Metric collection.'
-		);
-		return;
-	}
+	/** @type {?DebugOverlay} */
+	let debugOverlay = null;
+	if ( isDebug && debugOverlaySrc ) {
+		try {
+			const { default: createDebugOverlay } = await import(
+				debugOverlaySrc
+			);
+			debugOverlay = createDebugOverlay( { urlMetricGroupCollection } );
+			signal.addEventListener( 'abort', () => debugOverlay.remove() );
+		} catch ( err ) {
+			error( 'Failed to load the debug overlay:', err );
+		}
+	}
+
+	/**
+	 * Dispatches the event for detection having been aborted.
+	 *
+	 * @param {DetectionAbortReason}  reason               - Reason.
+	 * @param {?URLMetricGroupStatus} urlMetricGroupStatus - Group status for the targeted viewport, if determined.
+	 */
+	const dispatchAbortedEvent = ( reason, urlMetricGroupStatus ) => {
+		dispatchDetectionEvent( 'aborted', { reason, urlMetricGroupStatus } );
+	};
+
+	if ( win.innerWidth === 0 || win.innerHeight === 0 ) {
+		log(
+			'Window must have non-zero dimensions for URL Metric collection.'
+		);
+		dispatchAbortedEvent( 'zero-viewport', null );
+		return;
+	}
+
+	if ( doc.visibilityState === 'hidden' ) {
+		log( 'Page opened in background tab so URL Metric is not collected.' );
+		dispatchAbortedEvent( 'page-hidden', null );
+		return;
+	}
+
+	// Abort if the current viewport is not among those which need URL Metrics.
+	let urlMetricGroupStatus = getGroupForViewportWidth(
+		win.innerWidth,
+		urlMetricGroupStatuses
+	);
+	debugOverlay?.update( urlMetricGroupStatus, null );
+	if ( urlMetricGroupStatus.complete && ! isDryRun ) {
+		log( 'No need for URL Metrics from the current viewport.' );
+		dispatchAbortedEvent( 'group-complete', urlMetricGroupStatus );
+		return;
+	}
+
+	// Abort if the client already submitted a URL Metric for this URL and viewport group. A dry run neither reads nor
+	// writes the session storage key. A page restored from the back/forward cache is a new visit, so the URL Metric
+	// submitted during the previous visit is disregarded, although the storage lock still applies.
+	let alreadySubmittedSessionStorageKey = isDryRun
+		? null
+		: await getAlreadySubmittedSessionStorageKey(
+				currentETag,
+				currentUrl,
+				urlMetricGroupStatus,
+				logger
+		  );
+	if (
+		! isRestoredFromCache &&
+		hasAlreadySubmittedFreshUrlMetric(
+			alreadySubmittedSessionStorageKey,
+			freshnessTTL
+		)
+	) {
+		log(
+			'The current client session already submitted a fresh URL Metric for this URL so a new one will not be collected now.'
+		);
+		dispatchAbortedEvent( 'already-submitted', urlMetricGroupStatus );
+		return;
+	}
+
+	// Abort if the viewport aspect ratio is not in a common range.
+	const aspectRatio = win.innerWidth / win.innerHeight;
+	if (
+		aspectRatio < minViewportAspectRatio ||
+		aspectRatio > maxViewportAspectRatio
+	) {
+		warn(
+			`Viewport aspect ratio (${ aspectRatio }) is not in the accepted range of ${ minViewportAspectRatio } to ${ maxViewportAspectRatio }.`
+		);
+		dispatchAbortedEvent(
+			'aspect-ratio-out-of-range',
+			urlMetricGroupStatus
+		);
+		return;
+	}
+
+	// TODO: Does this make sense here? Should it be moved up above the isViewportNeeded condition?
+	// As an alternative to this, the od_print_detection_script() function can short-circuit if the
+	// od_is_url_metric_storage_locked() function returns true. However, the downside with that is page caching could
+	// result in metrics missed from being gathered when a user navigates around a site and primes the page cache.
+	if ( ! isDryRun && isStorageLocked( getCurrentTime(), storageLockTTL ) ) {
+		warn( 'Aborted detection due to storage being locked.' );
+		dispatchAbortedEvent( 'storage-locked', urlMetricGroupStatus );
+		return;
+	}
+
+	const {
+		/** @type {OnTTFBFunction|OnTTFBWithAttributionFunction} */ onTTFB,
+		/** @type {OnFCPFunction|OnFCPWithAttributionFunction} */ onFCP,
+		/** @type {OnLCPFunction|OnLCPWithAttributionFunction} */ onLCP,
+		/** @type {OnINPFunction|OnINPWithAttributionFunction} */ onINP,
+		/** @type {OnCLSFunction|OnCLSWithAttributionFunction} */ onCLS,
+	} = await import( webVitalsLibrarySrc );
+
+	// When the page is not scrolled to the top (e.g. when navigating to an anchor link or when the scroll position is
+	// restored on reload), the element rects are made relative to the document so that the initial viewport is still
+	// what gets measured.
+	/** @type {ScrollOffset} */
+	const scrollOffset = { x: win.scrollX, y: win.scrollY };
+	const isScrolled = scrollOffset.x !== 0 || scrollOffset.y !== 0;
+
+	// Whether the elements were re-measured after the viewport was significantly resized.
+	let isViewportRetargeted = false;
+
+	/**
+	 * Checks whether the LCP may be attributed to the elements in the URL Metric.
+	 *
+	 * When the page is scrolled or the viewport was re-targeted, the LCP is reported for a viewport other than the initial
+	 * viewport which is measured. Such a URL Metric is therefore excluded from the LCP consensus by not flagging any of its
+	 * elements as the LCP (or as an LCP candidate), since an element which happens to be in both viewports would skew it.
+	 *
+	 * @return {boolean} Whether the LCP may be attributed.
+	 */
+	const isLCPAttributable = () => ! isScrolled && ! isViewportRetargeted;
+	if ( isScrolled ) {
+		log(
+			`Page is not scrolled to the top, so element rects are being computed relative to the document (scroll offset: ${ scrollOffset.x }, ${ scrollOffset.y }).`
+		);
+	}
+
+	log( 'Proceeding with detection' );
+	dispatchDetectionEvent( 'started', { urlMetricGroupStatus } );
+
+	const breadcrumbedElements = doc.body.querySelectorAll( '[data-od-xpath]' );
+
+	/** @type {Map<Element, string>} */
+	const breadcrumbedElementsMap = new Map(
+		[ ...breadcrumbedElements ].map(
+			/**
+			 * @param {Element} element
+			 * @return {[Element, string]} Tuple of an element and its XPath.
+			 */
+			( element ) => [ element, element.getAttribute( 'data-od-xpath' ) ]
+		)
+	);
+
+	/** @type {IntersectionObserverEntry[]} */
+	const elementIntersections = [];
+
+	/** @type {?IntersectionObserver} */
+	let intersectionObserver;
+
+	/** @type {?MutationObserver} */
+	let mutationObserver = null;
+
+	/** @type {(LCPMetric|LCPMetricWithAttribution)[]} */
+	const lcpMetricCandidates = [];
+
+	/**
+	 * Visibility timelines for the breadcrumbed elements which became visible in the initial viewport.
+	 *
+	 * @type {Map<Element, {firstVisibleTime: number, maxIntersectionRatio: number, isVisibleBeforeInteraction: boolean}>}
+	 */
+	const visibilityTimelines = new Map();
+
+	/** @type {?IntersectionObserver} */
+	let visibilityObserver = null;
+
+	// Whether the user interacted with the page, as a result of which elements may have become visible (e.g. by advancing a carousel).
+	let hasInteracted = false;
+
+	/**
+	 * Sets the visibility timeline data for a breadcrumbed element.
+	 *
+	 * This is omitted once the viewport was retargeted, since the visibility in the initial viewport is then unknown.
+	 *
+	 * @param {Element}     element     - Element.
+	 * @param {ElementData} elementData - Element data.
+	 */
+	const setElementVisibilityData = ( element, elementData ) => {
+		if ( isViewportRetargeted ) {
+			return;
+		}
+		Object.assign(
+			elementData,
+			visibilityTimelines.get( element ) ?? {
+				firstVisibleTime: null,
+				maxIntersectionRatio: 0,
+				isVisibleBeforeInteraction: false,
+			}
+		);
+	};
+
+	/**
+	 * Records the visibility of a breadcrumbed element in the initial viewport.
+	 *
+	 * An element which is hidden via opacity or the visibility property (e.g. prior to an entrance animation) is not
+	 * considered visible, even when it intersects with the initial viewport.
+	 *
+	 * @param {Element}         element            - Element.
+	 * @param {DOMRectReadOnly} boundingClientRect - Bounding client rect for the element.
+	 * @param {number}          time               - Time of the observation relative to the time origin.
+	 */
+	const recordElementVisibility = ( element, boundingClientRect, time ) => {
+		const { intersectionRatio } = getInitialViewportIntersection(
+			boundingClientRect,
+			isScrolled && ! isFixedToViewport( element )
+				? scrollOffset
+				: { x: 0, y: 0 }
+		);
+		if (
+			intersectionRatio === 0 ||
+			( typeof element.checkVisibility === 'function' &&
+				! element.checkVisibility( {
+					opacityProperty: true,
+					visibilityProperty: true,
+				} ) )
+		) {
+			return;
+		}
+
+		const visibilityTimeline = visibilityTimelines.get( element ) ?? {
+			firstVisibleTime: Math.round( time ),
+			maxIntersectionRatio: 0,
+			isVisibleBeforeInteraction: false,
+		};
+		visibilityTimeline.maxIntersectionRatio = Math.max(
+			visibilityTimeline.maxIntersectionRatio,
+			intersectionRatio
+		);
+		if ( ! hasInteracted ) {
+			visibilityTimeline.isVisibleBeforeInteraction = true;
+		}
+		visibilityTimelines.set( element, visibilityTimeline );
+
+		const elementData = urlMetric
+			? elementsByXPath.get( breadcrumbedElementsMap.get( element ) )
+			: null;
+		if ( elementData ) {
+			setElementVisibilityData( element, elementData );
+			debounceCompressUrlMetric();
+		}
+	};
+
+	/**
+	 * Breadcrumbed elements affected by animations or transitions which ended, mapped to the time the last one ended.
+	 *
+	 * @type {Map<Element, number>}
+	 */
+	const animatedElements = new Map();
+
+	/** @type {?number} */
+	let animatedElementsFrame = null;
+
+	/**
+	 * Records the visibility of the breadcrumbed elements affected by an animation or transition which ended.
+	 *
+	 * This is needed since an intersection observer is not notified when an element fades in without moving. Only the
+	 * breadcrumbed elements which contain or are contained by the event target are affected, and they are measured in
+	 * the next animation frame so that many animations ending at once do not each cause the elements to be measured.
+	 *
+	 * @param {AnimationEvent|TransitionEvent} event - Event.
+	 */
+	const recordAnimatedElementsVisibility = ( event ) => {
+		if ( ! ( event.target instanceof Element ) ) {
+			return;
+		}
+		const affectedElements = [
+			event.target.closest( '[data-od-xpath]' ),
+			...event.target.querySelectorAll( '[data-od-xpath]' ),
+		].filter( ( element ) => breadcrumbedElementsMap.has( element ) );
+		if ( affectedElements.length === 0 ) {
+			return;
+		}
+		for ( const element of affectedElements ) {
+			animatedElements.set( element, event.timeStamp );
+		}
+		if ( null !== animatedElementsFrame ) {
+			return;
+		}
+		animatedElementsFrame = win.requestAnimationFrame( () => {
+			animatedElementsFrame = null;
+			for ( const [ element, time ] of animatedElements ) {
+				recordElementVisibility(
+					element,
+					element.getBoundingClientRect(),
+					time
+				);
+			}
+			animatedElements.clear();
+		} );
+	};
+
+	/**
+	 * Notes that the user interacted with the page.
+	 */
+	const recordInteraction = () => {
+		hasInteracted = true;
+	};
+
+	/**
+	 * Stops tracking the visibility of the breadcrumbed elements, which happens once the page is scrolled since then
+	 * elements are no longer becoming visible in the initial viewport.
+	 */
+	const stopTrackingVisibility = () => {
+		visibilityObserver?.disconnect();
+		for ( const eventType of [ 'animationend', 'transitionend' ] ) {
+			doc.removeEventListener(
+				eventType,
+				recordAnimatedElementsVisibility,
+				{ capture: true }
+			);
+		}
+		if ( null !== animatedElementsFrame ) {
+			win.cancelAnimationFrame( animatedElementsFrame );
+			animatedElementsFrame = null;
+		}
+		animatedElements.clear();
+		for ( const eventType of [ 'pointerdown', 'keydown' ] ) {
+			win.removeEventListener( eventType, recordInteraction, {
+				capture: true,
+			} );
+		}
+		win.removeEventListener( 'scroll', stopTrackingVisibility ); // Clean up, even though this is registered with once:true.
+	};
+
+	/**
+	 * Adds the data for a breadcrumbed element to the URL Metric.
+	 *
+	 * @param {IntersectionObserverEntry} elementIntersection - Intersection observer entry for the element.
+	 */
+	const addElementData = ( elementIntersection ) => {
+		const xpath = breadcrumbedElementsMap.get( elementIntersection.target );
+		if ( ! xpath ) {
+			warn( 'Unable to look up XPath for element' );
+			return;
+		}
+
+		const { intersectionRatio, intersectionRect, boundingClientRect } =
+			isScrolled && ! isFixedToViewport( elementIntersection.target )
+				? getInitialViewportIntersection(
+						elementIntersection.boundingClientRect,
+						scrollOffset
+				  )
+				: elementIntersection;
+
+		const isLCPEligible = isLCPAttributable();
+
+		const lcpMetric = lcpMetricCandidates[ lcpMetricCandidates.length - 1 ];
+		const element = /** @type {Element|null} */ (
+			lcpMetric?.entries[ 0 ]?.element
+		);
+		const isLCP = isLCPEligible && elementIntersection.target === element;
+
+		/** @type {ElementData} */
+		const elementData = {
+			isLCP,
+			isLCPCandidate:
+				isLCPEligible &&
+				!! lcpMetricCandidates.find( ( lcpMetricCandidate ) => {
+					const candidateElement = /** @type {Element|null} */ (
+						lcpMetricCandidate.entries[ 0 ]?.element
+					);
+					return candidateElement === elementIntersection.target;
+				} ),
+			xpath,
+			intersectionRatio,
+			intersectionRect,
+			boundingClientRect,
+		};
+
+		setElementBackgroundImageData(
+			elementIntersection.target,
+			elementData
+		);
+		setElementVisibilityData( elementIntersection.target, elementData );
+		setElementImageData( elementIntersection.target, elementData );
+
+		urlMetric.elements.push( elementData );
+		elementsByXPath.set( elementData.xpath, elementData );
+	};
+
+	/**
+	 * Gets the URL of the resource for the current LCP candidate.
+	 *
+	 * @return {string|null} LCP resource URL, or null if the LCP element is not an image or the LCP is not attributable.
+	 */
+	const getLCPUrl = () =>
+		( isLCPAttributable() &&
+			lcpMetricCandidates[ lcpMetricCandidates.length - 1 ]?.entries[ 0 ]
+				?.url ) ||
+		null;
 
-	if ( doc.visibilityState === 'hidden' && ! doc.prerendering ) {
-		log( 'Page opened in background tab so URL Metric is not collected.' );
-		return;
-	}
+	/**
+	 * Sets the CSS background image data for a breadcrumbed element in the initial viewport.
+	 *
+	 * This is needed since LCP attribution for elements with background images is unreliable. By recording whether the
+	 * URL of the LCP entry matches a background image of an element, tag visitors are able to preload background-image heroes.
+	 *
+	 * @param {Element}     element     - Element.
+	 * @param {ElementData} elementData - Element data.
+	 */
+	const setElementBackgroundImageData = ( element, elementData ) => {
+		const backgroundImageUrls =
+			elementData.intersectionRatio > 0
+				? getBackgroundImageUrls( element )
+				: [];
+		if ( backgroundImageUrls.length > 0 ) {
+			elementData.backgroundImageUrls = backgroundImageUrls;
+			elementData.isBackgroundImageLCP = backgroundImageUrls.includes(
+				getLCPUrl()
+			);
+		} else {
+			delete elementData.backgroundImageUrls;
+			delete elementData.isBackgroundImageLCP;
+		}
+	};
 
-	// Abort if the current viewport is not among those which need URL Metrics.
-	const urlMetricGroupStatus = getGroupForViewportWidth(
-		win.innerWidth,
-		urlMetricGroupStatuses
-	);
-	if ( urlMetricGroupStatus.complete ) {
-		log( 'No need for URL Metrics from the current viewport.' );
-		return;
-	}
+	/**
+	 * Sets the data for the image rendered by a breadcrumbed element (i.e. an IMG, the IMG in a PICTURE, or the poster
+	 * of a VIDEO).
+	 *
+	 * By comparing the intrinsic size of the image with the size at which it is rendered and the device pixel ratio, tag
+	 * visitors are able to compute accurate `sizes` attributes and identify images which are larger than needed. When
+	 * the image has not loaded yet (e.g. since it is lazy-loaded), the data is set once it loads.
+	 *
+	 * @param {Element}     element     - Element.
+	 * @param {ElementData} elementData - Element data.
+	 */
+	const setElementImageData = ( element, elementData ) => {
+		const image = getRenderedImage( element );
+		if ( ! image ) {
+			return;
+		}
+		if ( ! image.complete ) {
+			image.addEventListener(
+				'load',
+				() => {
+					if (
+						elementsByXPath.get( elementData.xpath ) === elementData
+					) {
+						setElementImageData( element, elementData );
+						debounceCompressUrlMetric();
+					}
+				},
+				{ once: true }
+			);
+			return;
+		}
 
-	// Abort if the client already submitted a URL Metric for this URL and viewport group.
-	const alreadySubmittedSessionStorageKey =
-		await getAlreadySubmittedSessionStorageKey(
-			currentETag,
-			currentUrl,
-			urlMetricGroupStatus,
-			logger
-		);
-	if (
-		null !== alreadySubmittedSessionStorageKey &&
-		alreadySubmittedSessionStorageKey in sessionStorage
-	) {
-		const previousVisitTime = parseInt(
-			sessionStorage.getItem( alreadySubmittedSessionStorageKey ),
-			10
-		);
+		// Placeholder images with data: URLs are not relevant since they are not downloaded.
 		if (
-			! isNaN( previousVisitTime ) &&
-			( freshnessTTL < 0 ||
-				( getCurrentTime() - previousVisitTime ) / 1000 < freshnessTTL )
+			image.naturalWidth === 0 ||
+			! image.currentSrc ||
+			image.currentSrc.startsWith( 'data:' )
 		) {
-			log(
-				'The current client session already submitted a fresh URL Metric for this URL so a new one will not be collected now.'
-			);
+			delete elementData.image;
 			return;
 		}
-	}
 
-	// Abort if the viewport aspect ratio is not in a common range.
-	const aspectRatio = win.innerWidth / win.innerHeight;
-	if (
-		aspectRatio < minViewportAspectRatio ||
-		aspectRatio > maxViewportAspectRatio
-	) {
-		warn(
-			`Viewport aspect ratio (${ aspectRatio }) is not in the accepted range of ${ minViewportAspectRatio } to ${ maxViewportAspectRatio }.`
+		const renderedSize = getContentBoxSize(
+			element instanceof HTMLVideoElement ? element : image
 		);
-		return;
-	}
 
-	// TODO: Does this make sense here? Should it be moved up above the isViewportNeeded condition?
-	// As an alternative to this, the od_print_detection_script() function can short-circuit if the
-	// od_is_url_metric_storage_locked() function returns true. However, the downside with that is page caching could
-	// result in metrics missed from being gathered when a user navigates around a site and primes the page cache.
-	if ( isStorageLocked( getCurrentTime(), storageLockTTL ) ) {
-		warn( 'Aborted detection due to storage being locked.' );
-		return;
-	}
+		/** @type {ElementImageData} */
+		const imageData = {
+			currentSrc: image.currentSrc,
+			naturalWidth: image.naturalWidth,
+			naturalHeight: image.naturalHeight,
+			renderedWidth: renderedSize.width,
+			renderedHeight: renderedSize.height,
+			devicePixelRatio: win.devicePixelRatio,
+		};
+		elementData.image = imageData;
+	};
 
-	// Keep track of whether the window resized. If it was resized, we abort sending the URLMetric.
-	let didWindowResize = false;
-	win.addEventListener(
-		'resize',
-		() => {
-			didWindowResize = true;
-		},
-		{ once: true }
-	);
+	/**
+	 * Updates the web fonts used by the breadcrumbed elements in the initial viewport.
+	 */
+	const updateFontData = () => {
+		urlMetric.fonts = getFontData(
+			[ ...breadcrumbedElementsMap.entries() ]
+				.filter(
+					( [ , xpath ] ) =>
+						elementsByXPath.get( xpath )?.intersectionRatio > 0
+				)
+				.map( ( [ element ] ) => element )
+		);
+	};
 
-	const {
-		/** @type {OnTTFBFunction|OnTTFBWithAttributionFunction} */ onTTFB,
-		/** @type {OnFCPFunction|OnFCPWithAttributionFunction} */ onFCP,
-		/** @type {OnLCPFunction|OnLCPWithAttributionFunction} */ onLCP,
-		/** @type {OnINPFunction|OnINPWithAttributionFunction} */ onINP,
-		/** @type {OnCLSFunction|OnCLSWithAttributionFunction} */ onCLS,
-	} = await import( webVitalsLibrarySrc );
+	/**
+	 * Updates whether the background image of each element matches the LCP after a new LCP candidate was reported.
+	 */
+	const updateElementBackgroundImageLCPData = () => {
+		const lcpUrl = getLCPUrl();
+		for ( const elementData of urlMetric.elements ) {
+			if ( elementData.backgroundImageUrls ) {
+				elementData.isBackgroundImageLCP =
+					elementData.backgroundImageUrls.includes( lcpUrl );
+			}
+		}
+	};
 
-	// TODO: Does this make sense here?
-	// Prevent detection when page is not scrolled to the initial viewport.
-	if ( doc.documentElement.scrollTop > 0 ) {
-		warn(
-			'Aborted detection since initial scroll position of page is not at the top.'
+	/**
+	 * Updates the LCP timing breakdown and resource details in the URL Metric for the latest LCP candidate.
+	 *
+	 * The resource details are only recorded when the LCP is attributable and the LCP element is among the elements recorded
+	 * in the initial viewport.
+	 */
+	const updateLCPData = () => {
+		const lcpMetric = lcpMetricCandidates[ lcpMetricCandidates.length - 1 ];
+		const lcpElement = /** @type {Element|null} */ (
+			lcpMetric?.entries[ 0 ]?.element
 		);
-		return;
-	}
-
-	log( 'Proceeding with detection' );
+		const elementData = lcpElement
+			? elementsByXPath.get( breadcrumbedElementsMap.get( lcpElement ) )
+			: undefined;
+		if ( lcpMetric ) {
+			urlMetric.lcp = getLCPData(
+				lcpMetric,
+				Boolean(
+					isLCPAttributable() &&
+						elementData &&
+						elementData.intersectionRatio > 0
+				)
+			);
+		} else {
+			delete urlMetric.lcp;
+		}
+	};
 
-	const breadcrumbedElements = doc.body.querySelectorAll( '[data-od-xpath]' );
+	/**
+	 * Updates the LCP flags for the elements in the URL Metric after a new LCP candidate was reported.
+	 */
+	const updateElementLCPData = () => {
+		const lcpMetric = lcpMetricCandidates[ lcpMetricCandidates.length - 1 ];
+		const lcpElement = /** @type {Element|null} */ (
+			lcpMetric?.entries[ 0 ]?.element
+		);
+		const lcpCandidateElements = new Set(
+			lcpMetricCandidates.map(
+				( lcpMetricCandidate ) =>
+					lcpMetricCandidate.entries[ 0 ]?.element
+			)
+		);
+		for ( const [ element, xpath ] of breadcrumbedElementsMap.entries() ) {
+			const elementData = elementsByXPath.get( xpath );
+			if ( elementData ) {
+				const isLCPEligible = isLCPAttributable();
+				elementData.isLCP = isLCPEligible && element === lcpElement;
+				elementData.isLCPCandidate =
+					isLCPEligible && lcpCandidateElements.has( element );
+			}
+		}
+		debounceCompressUrlMetric();
+	};
 
-	/** @type {Map<Element, string>} */
-	const breadcrumbedElementsMap = new Map(
-		[ ...breadcrumbedElements ].map(
-			/**
-			 * @param {Element} element
-			 * @return {[Element, string]} Tuple of an element and its XPath.
-			 */
-			( element ) => [ element, element.getAttribute( 'data-od-xpath' ) ]
-		)
-	);
+	/**
+	 * Values of the largest layout shift attributed to each breadcrumbed element, keyed by XPath.
+	 *
+	 * @type {Map<string, number>}
+	 */
+	const largestLayoutShiftValues = new Map();
 
-	/** @type {IntersectionObserverEntry[]} */
-	const elementIntersections = [];
+	/**
+	 * Re-measures the elements in the URL Metric for the current viewport after it was significantly resized.
+	 *
+	 * Since the page may have been scrolled in the meantime, the rects are made relative to the document. The layout
+	 * shifts and the visibility timelines which were recorded for the previous viewport are discarded, as they do not
+	 * apply to the current one.
+	 */
+	const remeasureElementData = () => {
+		stopTrackingVisibility();
+		visibilityTimelines.clear();
+		largestLayoutShiftValues.clear();
 
-	/** @type {?IntersectionObserver} */
-	let intersectionObserver;
+		/** @type {ScrollOffset} */
+		const currentScrollOffset = { x: win.scrollX, y: win.scrollY };
+		for ( const [ element, xpath ] of breadcrumbedElementsMap.entries() ) {
+			const elementData = elementsByXPath.get( xpath );
+			if ( ! elementData ) {
+				continue;
+			}
+			for ( const key of [
+				'layoutShiftScore',
+				'layoutShiftPreviousRect',
+				'layoutShiftCurrentRect',
+				'firstVisibleTime',
+				'maxIntersectionRatio',
+				'isVisibleBeforeInteraction',
+			] ) {
+				delete elementData[ key ];
+			}
+			if ( ! element.isConnected ) {
+				continue;
+			}
+			Object.assign(
+				elementData,
+				getInitialViewportIntersection(
+					element.getBoundingClientRect(),
+					isFixedToViewport( element )
+						? { x: 0, y: 0 }
+						: currentScrollOffset
+				)
+			);
+			setElementBackgroundImageData( element, elementData );
+			setElementImageData( element, elementData );
+		}
+		urlMetric.viewport = {
+			width: win.innerWidth,
+			height: win.innerHeight,
+		};
+		urlMetric.scrollOffset = currentScrollOffset;
+		isViewportRetargeted = true;
+		updateFontData();
+		updateElementLCPData();
+		updateLCPData();
+	};
 
 	function disconnectIntersectionObserver() {
 		if ( intersectionObserver instanceof IntersectionObserver ) {
@@ -717,14 +2880,82 @@ export default async function detect( {
 		}
 	}
 
-	// Wait for the intersection observer to report back on the initially visible elements.
-	// Note that the first callback will include _all_ observed entries per <https://github.com/w3c/IntersectionObserver/issues/476>.
-	if ( breadcrumbedElementsMap.size > 0 ) {
-		await new Promise( ( resolve ) => {
+	function stopObservingInsertedElements() {
+		if ( mutationObserver instanceof MutationObserver ) {
+			mutationObserver.disconnect();
+			mutationObserver = null;
+			for ( const eventType of [ 'scroll', 'keydown', 'click' ] ) {
+				win.removeEventListener(
+					eventType,
+					stopObservingInsertedElements,
+					{ capture: true }
+				); // Clean up, even though these are registered with once:true.
+			}
+			doc.removeEventListener(
+				'visibilitychange',
+				stopObservingInsertedElements
+			);
+		}
+		disconnectIntersectionObserver();
+	}
+
+	if ( breadcrumbedElementsMap.size > 0 || observeInsertedElements ) {
+		// Track when elements become visible in the initial viewport over time, such as carousel slides and elements with
+		// entrance animations, since the initial intersections only capture the elements which were visible at first.
+		visibilityObserver = new IntersectionObserver(
+			( entries ) => {
+				for ( const entry of entries ) {
+					recordElementVisibility(
+						entry.target,
+						entry.boundingClientRect,
+						entry.time
+					);
+				}
+			},
+			{
+				root: null,
+				threshold: [ 0, 0.25, 0.5, 0.75, 1 ],
+			}
+		);
+		for ( const eventType of [ 'animationend', 'transitionend' ] ) {
+			doc.addEventListener( eventType, recordAnimatedElementsVisibility, {
+				capture: true,
+				passive: true,
+			} );
+		}
+		for ( const eventType of [ 'pointerdown', 'keydown' ] ) {
+			win.addEventListener( eventType, recordInteraction, {
+				once: true,
+				passive: true,
+				capture: true,
+			} );
+		}
+		win.addEventListener( 'scroll', stopTrackingVisibility, {
+			once: true,
+			passive: true,
+		} );
+		signal.addEventListener( 'abort', stopTrackingVisibility );
+
+		const initialIntersectionsPromise = new Promise( ( resolve ) => {
 			intersectionObserver = new IntersectionObserver(
 				( entries ) => {
 					for ( const entry of entries ) {
-						elementIntersections.push( entry );
+						if ( ! urlMetric ) {
+							elementIntersections.push( entry );
+						} else if (
+							// Once the URL Metric is constructed, only elements which were inserted in the meantime are added.
+							! elementsByXPath.has(
+								breadcrumbedElementsMap.get( entry.target )
+							)
+						) {
+							addElementData( entry );
+							updateLCPData();
+							debounceCompressUrlMetric();
+							debugOverlay?.update(
+								urlMetricGroupStatus,
+								urlMetric
+							);
+						}
 					}
 					resolve();
 				},
@@ -733,22 +2964,72 @@ export default async function detect( {
 					threshold: 0.0, // As soon as even one pixel is visible.
 				}
 			);
-
-			for ( const element of breadcrumbedElementsMap.keys() ) {
-				intersectionObserver.observe( element );
-			}
 		} );
 
+		for ( const element of breadcrumbedElementsMap.keys() ) {
+			intersectionObserver.observe( element );
+			visibilityObserver.observe( element );
+		}
+
+		if ( observeInsertedElements ) {
+			// Observe breadcrumbed elements which are inserted into the page after the initial pass, such as by hydration.
+			mutationObserver = new MutationObserver( ( mutations ) => {
+				for ( const mutation of mutations ) {
+					for ( const node of mutation.addedNodes ) {
+						if ( ! ( node instanceof Element ) ) {
+							continue;
+						}
+						const insertedElements = [
+							...node.querySelectorAll( '[data-od-xpath]' ),
+						];
+						if ( node.hasAttribute( 'data-od-xpath' ) ) {
+							insertedElements.unshift( node );
+						}
+						for ( const insertedElement of insertedElements ) {
+							if (
+								breadcrumbedElementsMap.has( insertedElement )
+							) {
+								continue;
+							}
+							breadcrumbedElementsMap.set(
+								insertedElement,
+								insertedElement.getAttribute( 'data-od-xpath' )
+							);
+							intersectionObserver.observe( insertedElement );
+							visibilityObserver.observe( insertedElement );
+						}
+					}
+				}
+			} );
+			mutationObserver.observe( doc.body, {
+				childList: true,
+				subtree: true,
+			} );
+		}
+
+		signal.addEventListener( 'abort', stopObservingInsertedElements );
+
+		// Wait for the intersection observer to report back on the initially visible elements.
+		// Note that the first callback will include _all_ observed entries per <https://github.com/w3c/IntersectionObserver/issues/476>.
+		if ( breadcrumbedElementsMap.size > 0 ) {
+			await initialIntersectionsPromise;
+		}
+
 		// Stop observing as soon as the page scrolls since we only want initial-viewport elements.
-		win.addEventListener( 'scroll', disconnectIntersectionObserver, {
-			once: true,
-			passive: true,
-		} );
+		if ( mutationObserver ) {
+			win.addEventListener( 'scroll', stopObservingInsertedElements, {
+				once: true,
+				passive: true,
+				capture: true,
+			} );
+		} else {
+			win.addEventListener( 'scroll', disconnectIntersectionObserver, {
+				once: true,
+				passive: true,
+			} );
+		}
 	}
 
-	/** @type {(LCPMetric|LCPMetricWithAttribution)[]} */
-	const lcpMetricCandidates = [];
-
 	// Get at least one LCP candidate. More may be reported before the page finishes loading.
 	await new Promise( ( resolve ) => {
 		onLCP(
@@ -758,7 +3039,22 @@ export default async function detect( {
 			 * @param {LCPMetric|LCPMetricWithAttribution} metric
 			 */
 			( metric ) => {
+				// The LCP reported after a restore from the back/forward cache is handled by the fresh collection cycle.
+				if ( signal.aborted ) {
+					resolve();
+					return;
+				}
 				lcpMetricCandidates.push( metric );
+				if ( urlMetric ) {
+					updateLCPData();
+					updateElementBackgroundImageLCPData();
+					if ( mutationObserver ) {
+						updateElementLCPData();
+					} else {
+						debounceCompressUrlMetric();
+					}
+					debugOverlay?.update( urlMetricGroupStatus, urlMetric );
+				}
 				resolve();
 			},
 			{
@@ -770,8 +3066,9 @@ export default async function detect( {
 		);
 	} );
 
-	// Stop observing the initial viewport.
-	disconnectIntersectionObserver();
+	if ( signal.aborted ) {
+		return;
+	}
 
 	urlMetric = {
 		url: currentUrl,
@@ -779,45 +3076,176 @@ export default async function detect( {
 			width: win.innerWidth,
 			height: win.innerHeight,
 		},
+		scrollOffset,
+		device: getDeviceData(),
+		network: getNetworkData(),
 		elements: [],
 	};
 
-	const lcpMetric = lcpMetricCandidates[ lcpMetricCandidates.length - 1 ];
-
 	// Populate the elements in the URL Metric.
 	for ( const elementIntersection of elementIntersections ) {
-		const xpath = breadcrumbedElementsMap.get( elementIntersection.target );
-		if ( ! xpath ) {
-			warn( 'Unable to look up XPath for element' );
-			continue;
-		}
+		addElementData( elementIntersection );
+	}
 
-		const element = /** @type {Element|null} */ (
-			lcpMetric?.entries[ 0 ]?.element
+	// Capture the web fonts used in the initial viewport, which are updated as more fonts finish loading.
+	updateFontData();
+	if ( doc.fonts ) {
+		const onFontsLoadingDone = () => {
+			updateFontData();
+			debounceCompressUrlMetric();
+		};
+		doc.fonts.addEventListener( 'loadingdone', onFontsLoadingDone );
+		signal.addEventListener( 'abort', () => {
+			doc.fonts.removeEventListener( 'loadingdone', onFontsLoadingDone );
+		} );
+	}
+
+	// Capture the LCP timing breakdown and resource details, which are updated as more LCP candidates are reported.
+	updateLCPData();
+
+	debugOverlay?.update( urlMetricGroupStatus, urlMetric );
+
+	if ( mutationObserver ) {
+		// Keep observing inserted elements until the LCP is finalized (which happens upon the first user interaction or
+		// when the page is hidden) or until the page is scrolled, since only initial-viewport elements are relevant.
+		for ( const eventType of [ 'keydown', 'click' ] ) {
+			win.addEventListener( eventType, stopObservingInsertedElements, {
+				once: true,
+				passive: true,
+				capture: true,
+			} );
+		}
+		doc.addEventListener(
+			'visibilitychange',
+			stopObservingInsertedElements,
+			{
+				once: true,
+			}
 		);
-		const isLCP = elementIntersection.target === element;
+	} else {
+		// Stop observing the initial viewport. Note that the breadcrumbed elements are still needed in case they have to
+		// be re-measured after the viewport is resized.
+		disconnectIntersectionObserver();
+	}
 
-		/** @type {ElementData} */
-		const elementData = {
-			isLCP,
-			isLCPCandidate: !! lcpMetricCandidates.find(
-				( lcpMetricCandidate ) => {
-					const candidateElement = /** @type {Element|null} */ (
-						lcpMetricCandidate.entries[ 0 ]?.element
-					);
-					return candidateElement === elementIntersection.target;
+	// Attribute layout shifts to the breadcrumbed elements which shifted so that space can be reserved for them.
+	if (
+		typeof PerformanceObserver === 'function' &&
+		PerformanceObserver.supportedEntryTypes?.includes( 'layout-shift' )
+	) {
+		const layoutShiftObserver = new PerformanceObserver( ( list ) => {
+			for ( const layoutShift of /** @type {LayoutShift[]} */ (
+				list.getEntries()
+			) ) {
+				// Layout shifts occurring soon after user input are expected, and they are also excluded from CLS.
+				if ( layoutShift.hadRecentInput ) {
+					continue;
 				}
-			),
-			xpath,
-			intersectionRatio: elementIntersection.intersectionRatio,
-			intersectionRect: elementIntersection.intersectionRect,
-			boundingClientRect: elementIntersection.boundingClientRect,
-		};
+				// Since the value of a layout shift is not reported per source, it is apportioned to the sources according to
+				// how much of the viewport each impacted. If none impacted any area, the value is split evenly.
+				const impactAreas = layoutShift.sources.map(
+					getLayoutShiftSourceImpactArea
+				);
+				const totalImpactArea = impactAreas.reduce(
+					( sum, area ) => sum + area,
+					0
+				);
+				for ( const [ i, source ] of layoutShift.sources.entries() ) {
+					const node = source.node;
+					const element =
+						node instanceof Element ? node : node?.parentElement;
+					const breadcrumbedElement =
+						element?.closest( '[data-od-xpath]' );
+					const xpath =
+						breadcrumbedElement?.getAttribute( 'data-od-xpath' );
+					const elementData = xpath
+						? elementsByXPath.get( xpath )
+						: null;
+					if ( ! elementData ) {
+						continue;
+					}
 
-		urlMetric.elements.push( elementData );
-		elementsByXPath.set( elementData.xpath, elementData );
+					const sourceValue =
+						totalImpactArea > 0
+							? ( layoutShift.value * impactAreas[ i ] ) /
+							  totalImpactArea
+							: layoutShift.value / layoutShift.sources.length;
+					elementData.layoutShiftScore =
+						( elementData.layoutShiftScore || 0 ) + sourceValue;
+
+					// Keep the rects for the largest layout shift.
+					if (
+						sourceValue >
+						( largestLayoutShiftValues.get( xpath ) || 0 )
+					) {
+						largestLayoutShiftValues.set( xpath, sourceValue );
+
+						// The rects are relative to the viewport at the time of the layout shift, so they are made relative to
+						// the document like the element's bounding rect, unless the element is fixed to the viewport.
+						const layoutShiftScrollOffset = isFixedToViewport(
+							breadcrumbedElement
+						)
+							? { x: 0, y: 0 }
+							: { x: win.scrollX, y: win.scrollY };
+						elementData.layoutShiftPreviousRect = getDocumentRect(
+							source.previousRect,
+							layoutShiftScrollOffset
+						);
+						elementData.layoutShiftCurrentRect = getDocumentRect(
+							source.currentRect,
+							layoutShiftScrollOffset
+						);
+					}
+				}
+			}
+			debounceCompressUrlMetric();
+		} );
+		layoutShiftObserver.observe( { type: 'layout-shift', buffered: true } );
+		signal.addEventListener( 'abort', () =>
+			layoutShiftObserver.disconnect()
+		);
+	}
+
+	// Attribute the worst long animation frames up to the time of submission to the scripts which ran during them, so
+	// that scripts which harm responsiveness can be identified.
+	if (
+		collectLongAnimationFrames &&
+		typeof PerformanceObserver === 'function' &&
+		PerformanceObserver.supportedEntryTypes?.includes(
+			'long-animation-frame'
+		)
+	) {
+		/** @type {LongAnimationFrameTiming[]} */
+		let worstLongAnimationFrames = [];
+		let longAnimationFrameCount = 0;
+
+		const longAnimationFrameObserver = new PerformanceObserver(
+			( list ) => {
+				const entries = /** @type {LongAnimationFrameTiming[]} */ (
+					list.getEntries()
+				);
+				longAnimationFrameCount += entries.length;
+				worstLongAnimationFrames = [
+					...worstLongAnimationFrames,
+					...entries,
+				]
+					.sort( ( a, b ) => b.duration - a.duration )
+					.slice( 0, maxLongAnimationFrames );
+				urlMetric.longAnimationFrames = getLongAnimationFrameData(
+					worstLongAnimationFrames,
+					longAnimationFrameCount
+				);
+				debounceCompressUrlMetric();
+			}
+		);
+		longAnimationFrameObserver.observe( {
+			type: 'long-animation-frame',
+			buffered: true,
+		} );
+		signal.addEventListener( 'abort', () =>
+			longAnimationFrameObserver.disconnect()
+		);
 	}
-	breadcrumbedElementsMap.clear(); // No longer needed.
 
 	/**
 	 * Initialize extensions.
@@ -826,6 +3254,9 @@ export default async function detect( {
 	/** @type {Map<string, Extension>} */
 	const extensions = new Map();
 
+	const extensionArgsByModuleUrl =
+		getExtensionArgsByModuleUrl( extensionModuleUrls );
+
 	/** @type {boolean} */
 	let extensionHasFinalize = false;
 
@@ -835,31 +3266,106 @@ export default async function detect( {
 	/** @type {string[]} */
 	const initializingExtensionModuleUrls = [];
 
+	/**
+	 * Value with which an extension function's promise settles when the extension did not finish before the timeout.
+	 *
+	 * @type {symbol}
+	 */
+	const extensionTimedOut = Symbol( 'extensionTimedOut' );
+
+	/**
+	 * Races a promise returned by an extension function (i.e. initialize) against the initialize timeout.
+	 *
+	 * This prevents a slow or hung extension from blocking the URL Metric from being compressed and submitted. An
+	 * extension which finishes initializing after the timeout may still extend the URL Metric until it is submitted.
+	 *
+	 * @template T
+	 * @param {Promise<T>} extensionPromise   - Promise returned by the extension function.
+	 * @param {string}     extensionModuleUrl - Extension module URL.
+	 * @param {string}     functionName       - Name of the extension function.
+	 * @return {Promise<T|symbol>} Promise which settles with the extension promise or with extensionTimedOut.
+	 */
+	const raceExtensionTimeout = (
+		extensionPromise,
+		extensionModuleUrl,
+		functionName
+	) =>
+		new Promise( ( resolve, reject ) => {
+			const timeout = setTimeout( () => {
+				warn(
+					`Extension '${ extensionModuleUrl }' did not finish running ${ functionName } within ${ extensionInitializeTimeout } ms, so detection is proceeding without waiting for it.`
+				);
+				resolve( extensionTimedOut );
+				extensionPromise.then(
+					() => {
+						log(
+							`Extension '${ extensionModuleUrl }' finished running ${ functionName } after the timeout.`
+						);
+					},
+					( reason ) => {
+						error(
+							`Failed to run ${ functionName } for extension '${ extensionModuleUrl }' after the timeout:`,
+							reason
+						);
+					}
+				);
+			}, extensionInitializeTimeout );
+			extensionPromise.then(
+				( value ) => {
+					clearTimeout( timeout );
+					resolve( value );
+				},
+				( reason ) => {
+					clearTimeout( timeout );
+					reject( reason );
+				}
+			);
+		} );
+
 	// Load all extensions in parallel.
 	await Promise.all(
-		extensionModuleUrls.map( async ( extensionModuleUrl ) => {
-			const extension = /** @type {Extension} */ await import(
-				extensionModuleUrl
-			);
-			extensions.set( extensionModuleUrl, extension );
-		} )
+		[ ...extensionArgsByModuleUrl.keys() ].map(
+			async ( extensionModuleUrl ) => {
+				const extension = /** @type {Extension} */ await import(
+					extensionModuleUrl
+				);
+				extensions.set( extensionModuleUrl, extension );
+			}
+		)
 	);
 
+	/**
+	 * Trim priorities declared by extensions for the properties they add, used when the URL Metric is too large.
+	 *
+	 * @type {Map<string, number>}
+	 */
+	const trimPriorities = new Map();
+	for ( const extension of extensions.values() ) {
+		for ( const [ key, priority ] of Object.entries(
+			extension.trimPriorities || {}
+		) ) {
+			trimPriorities.set(
+				key,
+				Math.min( priority, trimPriorities.get( key ) ?? Infinity )
+			);
+		}
+	}
+
 	// Initialize extensions.
 	for ( const [ extensionModuleUrl, extension ] of extensions.entries() ) {
 		try {
+			const extensionName =
+				extension.name ||
+				getExtensionNameFromScriptModuleUrl( extensionModuleUrl );
 			const extensionLogger = createLogger(
 				isDebug,
-				`[Optimization Detective: ${
-					extension.name ||
-					getExtensionNameFromScriptModuleUrl( extensionModuleUrl )
-				}]`,
+				`[Optimization Detective: ${ extensionName }]`,
 				extensionModuleUrl
 			);
 
-			// TODO: There should to be a way to pass additional args into the module. Perhaps extensionModuleUrls should be a mapping of URLs to args.
 			if ( extension.initialize instanceof Function ) {
 				const initializePromise = extension.initialize( {
+					args: extensionArgsByModuleUrl.get( extensionModuleUrl ),
 					isDebug,
 					...extensionLogger,
 					onTTFB,
@@ -868,12 +3374,20 @@ export default async function detect( {
 					onINP,
 					onCLS,
 					getRootData,
-					extendRootData,
+					extendRootData: ( properties ) =>
+						extendRootData( properties, extensionName ),
 					getElementData,
-					extendElementData,
+					extendElementData: ( xpath, properties ) =>
+						extendElementData( xpath, properties, extensionName ),
 				} );
 				if ( initializePromise instanceof Promise ) {
-					extensionInitializePromises.push( initializePromise );
+					extensionInitializePromises.push(
+						raceExtensionTimeout(
+							initializePromise,
+							extensionModuleUrl,
+							'initialize'
+						)
+					);
 					initializingExtensionModuleUrls.push( extensionModuleUrl );
 				}
 			}
@@ -892,7 +3406,7 @@ export default async function detect( {
 		}
 	}
 
-	// Wait for all extensions to finish initializing.
+	// Wait for all extensions to finish initializing, or for each to time out.
 	const settledInitializePromises = await Promise.allSettled(
 		extensionInitializePromises
 	);
@@ -908,6 +3422,10 @@ export default async function detect( {
 		}
 	}
 
+	if ( signal.aborted ) {
+		return;
+	}
+
 	if ( compressionEnabled && extensionHasFinalize ) {
 		compressionEnabled = false;
 		warn(
@@ -916,30 +3434,607 @@ export default async function detect( {
 	}
 
 	log( 'Current URL Metric:', urlMetric );
+	dispatchDetectionEvent( 'url-metric-ready', {
+		urlMetricGroupStatus,
+		urlMetric: isDebug ? getRootData() : undefined,
+	} );
 
 	// Compress the URL Metric once so that even if there are no extensions available or extending the URL Metric, it is compressed.
 	debounceCompressUrlMetric();
 
-	// Wait for the page to be hidden.
-	await new Promise( ( resolve ) => {
-		win.addEventListener( 'pagehide', resolve, { once: true } );
-		win.addEventListener( 'pageswap', resolve, { once: true } );
-		doc.addEventListener(
-			'visibilitychange',
-			() => {
-				if ( doc.visibilityState === 'hidden' ) {
-					// TODO: This will fire even when switching tabs.
+	/**
+	 * Waits for the page to be hidden.
+	 *
+	 * This happens when switching tabs, minimizing the window, or navigating away. Note that the page being hidden is
+	 * the last reliable opportunity to send data, since on mobile the pagehide event is often not delivered. The promise
+	 * also resolves when the collection cycle is aborted.
+	 *
+	 * @return {Promise<void>}
+	 */
+	const waitForPageHidden = () =>
+		new Promise( ( resolve ) => {
+			if ( signal.aborted ) {
+				resolve();
+				return;
+			}
+			const abortController = new AbortController();
+			const onHidden = () => {
+				abortController.abort(); // Remove all the event listeners.
+				resolve();
+			};
+			const options = { signal: abortController.signal };
+			signal.addEventListener( 'abort', onHidden, options );
+			win.addEventListener( 'pagehide', onHidden, options );
+			win.addEventListener( 'pageswap', onHidden, options );
+			doc.addEventListener(
+				'visibilitychange',
+				() => {
+					if ( doc.visibilityState === 'hidden' ) {
+						onHidden();
+					}
+				},
+				options
+			);
+		} );
+
+	/**
+	 * Waits for the page to become visible again after having been hidden.
+	 *
+	 * The promise also resolves when the collection cycle is aborted.
+	 *
+	 * @return {Promise<void>}
+	 */
+	const waitForPageVisible = () =>
+		new Promise( ( resolve ) => {
+			// The page may have become visible again while the URL Metric was being submitted.
+			if ( doc.visibilityState === 'visible' || signal.aborted ) {
+				resolve();
+				return;
+			}
+			const abortController = new AbortController();
+			signal.addEventListener(
+				'abort',
+				() => {
+					abortController.abort();
 					resolve();
+				},
+				{ signal: abortController.signal }
+			);
+			doc.addEventListener(
+				'visibilitychange',
+				() => {
+					if ( doc.visibilityState === 'visible' ) {
+						abortController.abort();
+						resolve();
+					}
+				},
+				{ signal: abortController.signal }
+			);
+		} );
+
+	/**
+	 * Re-targets the URL Metric if the viewport was significantly resized.
+	 *
+	 * When the viewport was significantly resized (e.g. due to resizing a window or changing the orientation of a device),
+	 * the URL Metric is re-targeted to the viewport group for the new size and the elements are re-measured, since the
+	 * metrics collected for the previous viewport would be unexpected. Insignificant resizes, such as from the browser's
+	 * URL bar collapsing on mobile, are ignored.
+	 *
+	 * @return {Promise<boolean>} Whether the URL Metric can still be submitted.
+	 */
+	const retargetResizedViewport = async () => {
+		const currentViewport = {
+			width: win.innerWidth,
+			height: win.innerHeight,
+		};
+		if (
+			isSignificantViewportResize( urlMetric.viewport, currentViewport )
+		) {
+			log(
+				`Viewport was resized from ${ urlMetric.viewport.width }x${ urlMetric.viewport.height } to ${ currentViewport.width }x${ currentViewport.height }, so re-targeting the URL Metric.`
+			);
+
+			const resizedAspectRatio =
+				currentViewport.width / currentViewport.height;
+			if (
+				resizedAspectRatio < minViewportAspectRatio ||
+				resizedAspectRatio > maxViewportAspectRatio
+			) {
+				log(
+					`Aborting URL Metric collection since the resized viewport aspect ratio (${ resizedAspectRatio }) is not in the accepted range of ${ minViewportAspectRatio } to ${ maxViewportAspectRatio }.`
+				);
+				dispatchAbortedEvent(
+					'aspect-ratio-out-of-range',
+					urlMetricGroupStatus
+				);
+				return false;
+			}
+
+			const resizedUrlMetricGroupStatus = getGroupForViewportWidth(
+				currentViewport.width,
+				urlMetricGroupStatuses
+			);
+			if ( resizedUrlMetricGroupStatus.complete && ! isDryRun ) {
+				log(
+					'Aborting URL Metric collection since there is no need for URL Metrics from the resized viewport.'
+				);
+				dispatchAbortedEvent(
+					'group-complete',
+					resizedUrlMetricGroupStatus
+				);
+				return false;
+			}
+			if ( resizedUrlMetricGroupStatus !== urlMetricGroupStatus ) {
+				urlMetricGroupStatus = resizedUrlMetricGroupStatus;
+				alreadySubmittedSessionStorageKey = isDryRun
+					? null
+					: await getAlreadySubmittedSessionStorageKey(
+							currentETag,
+							currentUrl,
+							urlMetricGroupStatus,
+							logger
+					  );
+				if (
+					hasAlreadySubmittedFreshUrlMetric(
+						alreadySubmittedSessionStorageKey,
+						freshnessTTL
+					)
+				) {
+					log(
+						'Aborting URL Metric collection since the current client session already submitted a fresh URL Metric for the resized viewport.'
+					);
+					dispatchAbortedEvent(
+						'already-submitted',
+						urlMetricGroupStatus
+					);
+					return false;
 				}
-			},
-			{ once: true }
+			}
+
+			stopObservingInsertedElements();
+			remeasureElementData();
+			debugOverlay?.update( urlMetricGroupStatus, urlMetric );
+		}
+		return true;
+	};
+
+	/**
+	 * Runs the beforeSubmit hooks of the extensions, any of which may veto the submission of the URL Metric.
+	 *
+	 * This allows an extension to prevent a URL Metric from being stored, for example when consent was not given or when
+	 * the page is a variant in an A/B test. The hooks must be synchronous, since the page is being hidden and may be
+	 * unloaded at any moment, at which point neither timers nor promises can be relied upon to settle. A hook which
+	 * returns a promise does not veto the submission.
+	 *
+	 * @param {URLMetric} submittedUrlMetric - URL Metric being submitted.
+	 * @param {boolean}   isUpdate           - Whether the submission replaces the URL Metric previously submitted.
+	 * @return {boolean} Whether the URL Metric may be submitted.
+	 */
+	const runBeforeSubmitHooks = ( submittedUrlMetric, isUpdate ) => {
+		let isVetoed = false;
+		for ( const [
+			extensionModuleUrl,
+			extension,
+		] of extensions.entries() ) {
+			if ( ! ( extension.beforeSubmit instanceof Function ) ) {
+				continue;
+			}
+			const extensionName =
+				extension.name ||
+				getExtensionNameFromScriptModuleUrl( extensionModuleUrl );
+			try {
+				const result = extension.beforeSubmit( {
+					args: extensionArgsByModuleUrl.get( extensionModuleUrl ),
+					urlMetric: submittedUrlMetric,
+					isUpdate,
+					isDebug,
+					...createLogger(
+						isDebug,
+						`[Optimization Detective: ${ extensionName }]`,
+						extensionModuleUrl
+					),
+				} );
+				if ( result instanceof Promise ) {
+					warn(
+						`Extension '${ extensionName }' returned a promise from beforeSubmit, which must be synchronous, so it cannot veto the submission.`
+					);
+					result.catch( ( err ) => {
+						error(
+							`Failed to run beforeSubmit for extension '${ extensionModuleUrl }':`,
+							err
+						);
+					} );
+				} else if ( result && result.submit === false ) {
+					log(
+						`Submission of URL Metric was vetoed by extension '${ extensionName }': ${ result.reason }`
+					);
+					isVetoed = true;
+				}
+			} catch ( err ) {
+				error(
+					`Failed to run beforeSubmit for extension '${ extensionModuleUrl }':`,
+					err
+				);
+			}
+		}
+		return ! isVetoed;
+	};
+
+	/**
+	 * Runs the afterSubmit hooks of the extensions to inform them of the outcome of submitting the URL Metric.
+	 *
+	 * The hooks are run once the request is dispatched rather than once the response is received, since no response is
+	 * received when the page is being unloaded.
+	 *
+	 * @param {Object}      submission                  - Submission.
+	 * @param {URLMetric}   submission.urlMetric        - URL Metric which was submitted.
+	 * @param {boolean}     submission.isUpdate         - Whether the submission replaces the URL Metric previously submitted.
+	 * @param {boolean}     submission.sent             - Whether the URL Metric was sent.
+	 * @param {number}      submission.size             - Size of the payload in bytes.
+	 * @param {number}      submission.uncompressedSize - Size of the URL Metric JSON in bytes.
+	 * @param {number|null} submission.compressionRatio - Ratio of the payload size to the uncompressed size, or null when not compressed.
+	 */
+	const runAfterSubmitHooks = ( submission ) => {
+		for ( const [
+			extensionModuleUrl,
+			extension,
+		] of extensions.entries() ) {
+			if ( ! ( extension.afterSubmit instanceof Function ) ) {
+				continue;
+			}
+			const extensionName =
+				extension.name ||
+				getExtensionNameFromScriptModuleUrl( extensionModuleUrl );
+			const onError = ( /** @type {*} */ err ) => {
+				error(
+					`Failed to run afterSubmit for extension '${ extensionModuleUrl }':`,
+					err
+				);
+			};
+			try {
+				Promise.resolve(
+					extension.afterSubmit( {
+						args: extensionArgsByModuleUrl.get(
+							extensionModuleUrl
+						),
+						...submission,
+						isDebug,
+						...createLogger(
+							isDebug,
+							`[Optimization Detective: ${ extensionName }]`,
+							extensionModuleUrl
+						),
+					} )
+				).catch( onError );
+			} catch ( err ) {
+				onError( err );
+			}
+		}
+	};
+
+	/**
+	 * UUID for the URL Metric, which allows it to be updated after it was submitted.
+	 *
+	 * @type {?string}
+	 */
+	const uuid =
+		typeof win.crypto?.randomUUID === 'function'
+			? win.crypto.randomUUID()
+			: null;
+
+	/**
+	 * Token returned by the REST API when the URL Metric was stored, which authorizes submitting an update to it.
+	 *
+	 * @type {?string}
+	 */
+	let updateToken = null;
+
+	/**
+	 * Number of times that the URL Metric has been submitted.
+	 *
+	 * @type {number}
+	 */
+	let submissionCount = 0;
+
+	/**
+	 * Submits the URL Metric to be stored.
+	 *
+	 * @param {string}  jsonBody - The URL Metric serialized as JSON.
+	 * @param {boolean} isUpdate - Whether the submission replaces the URL Metric previously submitted with the same UUID.
+	 * @return {Promise<boolean>} Whether the URL Metric was submitted.
+	 */
+	const submitUrlMetric = async ( jsonBody, isUpdate ) => {
+		const maxBodyLengthKiB = 64;
+		const maxBodyLengthBytes = maxBodyLengthKiB * 1024;
+
+		// Compression is never started here since the page is being hidden, at which point there is no guarantee that an
+		// asynchronous task will complete. So if the URL Metric changed since it was last compressed, it is sent uncompressed.
+		let isCompressed =
+			compressionEnabled &&
+			null !== compressedPayload &&
+			compressedJsonBody === jsonBody;
+		let payloadBlob = isCompressed
+			? compressedPayload
+			: new Blob( [ jsonBody ], { type: 'application/json' } );
+
+		// Rather than dropping a URL Metric which is too large to be sent, progressively drop lower-value data until it fits.
+		if (
+			jsonBody.length > maxUrlMetricSize ||
+			payloadBlob.size > maxBodyLengthBytes
+		) {
+			log(
+				`URL Metric is too large to be sent (${ jsonBody.length.toLocaleString() } bytes, ${ payloadBlob.size.toLocaleString() } bytes as payload), so it is being trimmed.`
+			);
+			for ( const trimmedUrlMetric of generateTrimmedUrlMetrics(
+				JSON.parse( jsonBody ),
+				trimPriorities
+			) ) {
+				jsonBody = JSON.stringify( trimmedUrlMetric );
+				if ( jsonBody.length > maxUrlMetricSize ) {
+					continue;
+				}
+				isCompressed = false;
+				payloadBlob = new Blob( [ jsonBody ], {
+					type: 'application/json',
+				} );
+				if ( payloadBlob.size <= maxBodyLengthBytes ) {
+					break;
+				}
+			}
+		}
+
+		// Extensions inspect the payload as it will be sent, which is why it is parsed from the JSON.
+		const submittedUrlMetric = /** @type {URLMetric} */ (
+			JSON.parse( jsonBody )
 		);
-	} );
+		recursiveFreeze( submittedUrlMetric );
+		const unsentSubmission = {
+			urlMetric: submittedUrlMetric,
+			isUpdate,
+			sent: false,
+			size: jsonBody.length,
+			uncompressedSize: jsonBody.length,
+			compressionRatio: null,
+		};
+
+		if ( jsonBody.length > maxUrlMetricSize ) {
+			error(
+				`URL Metric is ${ jsonBody.length.toLocaleString() } bytes, exceeding the maximum size of ${ maxUrlMetricSize.toLocaleString() } bytes:`,
+				submittedUrlMetric
+			);
+			runAfterSubmitHooks( unsentSubmission );
+			dispatchAbortedEvent(
+				'url-metric-too-large',
+				urlMetricGroupStatus
+			);
+			return false;
+		}
+
+		const percentOfBudget =
+			( payloadBlob.size / ( maxBodyLengthKiB * 1000 ) ) * 100;
+
+		/*
+		 * According to the fetch() spec:
+		 * "If the sum of contentLength and inflightKeepaliveBytes is greater than 64 kibibytes, then return a network error."
+		 * This is what browsers also implement for navigator.sendBeacon(). Therefore, if the size of the JSON is greater
+		 * than the maximum, we should avoid even trying to send it.
+		 */
+		if ( payloadBlob.size > maxBodyLengthBytes ) {
+			error(
+				`Unable to send URL Metric because it is ${ payloadBlob.size.toLocaleString() } bytes, ${ Math.round(
+					percentOfBudget
+				) }% of ${ maxBodyLengthKiB } KiB limit:`,
+				submittedUrlMetric
+			);
+			runAfterSubmitHooks( {
+				...unsentSubmission,
+				size: payloadBlob.size,
+				compressionRatio: isCompressed
+					? payloadBlob.size / jsonBody.length
+					: null,
+			} );
+			dispatchAbortedEvent(
+				'url-metric-too-large',
+				urlMetricGroupStatus
+			);
+			return false;
+		}
+
+		if ( ! runBeforeSubmitHooks( submittedUrlMetric, isUpdate ) ) {
+			runAfterSubmitHooks( {
+				...unsentSubmission,
+				size: payloadBlob.size,
+				compressionRatio: isCompressed
+					? payloadBlob.size / jsonBody.length
+					: null,
+			} );
+			dispatchAbortedEvent( 'submission-vetoed', urlMetricGroupStatus );
+			return false;
+		}
+
+		// A dry run sets neither the storage lock nor the already-submitted session storage key.
+		if ( ! isDryRun ) {
+			// Even though the server may reject the REST API request, we still have to set the storage lock
+			// because the response will not be received if the page is being unloaded. Otherwise, the lock is
+			// adjusted according to the response. The server also sets the lock when a URL Metric is updated.
+			setStorageLock( getCurrentTime() );
+
+			// Remember that the URL Metric was submitted for this URL to avoid having multiple entries submitted by the same client.
+			// An update replaces the URL Metric which was already submitted, so the key was already set for it.
+			if ( ! isUpdate && null !== alreadySubmittedSessionStorageKey ) {
+				sessionStorage.setItem(
+					alreadySubmittedSessionStorageKey,
+					String( getCurrentTime() )
+				);
+			}
+		}
+
+		let message = isDryRun ? 'Dry run, so not sending ' : 'Sending ';
+		message += isUpdate ? 'URL Metric update (' : 'URL Metric (';
+		message += `${ payloadBlob.size.toLocaleString() } bytes`;
+		message += `, ${ Math.round(
+			percentOfBudget
+		) }% of ${ maxBodyLengthKiB } KiB limit`;
+		if ( isCompressed ) {
+			message += `, gzip compressed -${ Math.round(
+				( ( jsonBody.length - payloadBlob.size ) / jsonBody.length ) *
+					100
+			) }%`;
+		} else {
+			message += ', uncompressed';
+		}
+		message += '):';
+
+		// The threshold of 50% is used because the limit for all beacons combined is 64 KiB, not just the data for one beacon.
+		if ( percentOfBudget < 50 ) {
+			log( message, submittedUrlMetric );
+		} else {
+			warn( message, submittedUrlMetric );
+		}
+
+		const url = new URL( restApiEndpoint );
+		if ( typeof restApiNonce === 'string' ) {
+			url.searchParams.set( '_wpnonce', restApiNonce );
+		}
+		url.searchParams.set( 'slug', urlMetricSlug );
+		url.searchParams.set( 'current_etag', currentETag );
+		if ( typeof cachePurgePostId === 'number' ) {
+			url.searchParams.set(
+				'cache_purge_post_id',
+				cachePurgePostId.toString()
+			);
+		}
+		url.searchParams.set( 'hmac', urlMetricHMAC );
+		if ( null !== uuid ) {
+			url.searchParams.set( 'uuid', uuid );
+		}
+		if ( isUpdate && null !== updateToken ) {
+			url.searchParams.set( 'update', '1' );
+			url.searchParams.set( 'update_token', updateToken );
+		}
+
+		const headers = {
+			'Content-Type': 'application/json',
+		};
+		if ( isCompressed ) {
+			headers[ 'Content-Encoding' ] = 'gzip';
+		}
+
+		/*
+		 * Keep the submission in an outbox until a response is received so that it can be retried on a subsequent page load
+		 * if the network fails or the server has an error. The UUID is supplied so that the REST API does not store the
+		 * URL Metric a second time if it was actually stored but the response was never received (e.g. due to unloading).
+		 * Since the outbox is keyed by UUID, an update replaces the pending initial submission. Note that a freshness TTL of
+		 * zero means that the URL Metric would immediately be stale, so there is no point in retrying it later.
+		 */
+		/** @type {?Promise<void>} */
+		let outboxPromise = null;
+		if (
+			win.indexedDB &&
+			null !== uuid &&
+			freshnessTTL !== 0 &&
+			! isDryRun
+		) {
+			outboxPromise = addToOutbox( {
+				uuid,
+				url: url.href,
+				headers,
+				body: payloadBlob,
+				timestamp: getCurrentTime(),
+				expires:
+					freshnessTTL < 0
+						? null
+						: getCurrentTime() + freshnessTTL * 1000,
+				attempts: 1,
+			} ).catch( ( err ) => {
+				warn( 'Unable to add URL Metric to outbox:', err );
+			} );
+		}
+
+		// Expose the payload which would have been sent so that it can be inspected, for example in tests.
+		if ( isDryRun ) {
+			runAfterSubmitHooks( {
+				...unsentSubmission,
+				size: payloadBlob.size,
+				compressionRatio: isCompressed
+					? payloadBlob.size / jsonBody.length
+					: null,
+			} );
+			dispatchDetectionEvent( 'dry-run', {
+				urlMetricGroupStatus,
+				isUpdate,
+				urlMetric: submittedUrlMetric,
+				url: url.href,
+				size: payloadBlob.size,
+				uncompressedSize: jsonBody.length,
+				isCompressed,
+				percentOfBudget,
+			} );
+			return true;
+		}
+
+		submissionCount++;
+		const submissionNumber = submissionCount;
+
+		const responsePromise = sendStoreRequest( url, headers, payloadBlob );
+		runAfterSubmitHooks( {
+			...unsentSubmission,
+			sent: true,
+			size: payloadBlob.size,
+			compressionRatio: isCompressed
+				? payloadBlob.size / jsonBody.length
+				: null,
+		} );
+		dispatchDetectionEvent( 'submitted', {
+			urlMetricGroupStatus,
+			isUpdate,
+			size: payloadBlob.size,
+			urlMetric: isDebug ? submittedUrlMetric : undefined,
+		} );
+		try {
+			// Note that the response is only received if the page is still alive (e.g. it was hidden rather than unloaded).
+			const response = await responsePromise;
+
+			// Without a response, the outbox entry is kept since the REST API does not store a URL Metric twice for the same UUID.
+			if ( null === response ) {
+				log(
+					'URL Metric was sent as a beacon, so no response is available.'
+				);
+				return true;
+			}
 
-	// Only proceed with submitting the URL Metric if the viewport stayed the same size. Changing the viewport size (e.g. due
-	// to resizing a window or changing the orientation of a device) will result in unexpected metrics being collected.
-	if ( didWindowResize ) {
-		log( 'Aborting URL Metric collection due to viewport size change.' );
+			// Keep the outbox entry if it was replaced by a subsequent update which has yet to receive a response.
+			if (
+				null !== outboxPromise &&
+				submissionNumber === submissionCount &&
+				! isRetryableResponse( response )
+			) {
+				await outboxPromise;
+				await removeFromOutbox( uuid );
+			}
+			const data = await handleStoreResponse(
+				response,
+				storageLockTTL,
+				isUpdate ? null : alreadySubmittedSessionStorageKey,
+				null !== outboxPromise,
+				logger
+			);
+			if ( response.ok && typeof data.update_token === 'string' ) {
+				updateToken = data.update_token;
+			}
+		} catch ( err ) {
+			warn(
+				'Failed to submit URL Metric; it will be retried on a subsequent page load if it was added to the outbox:',
+				err
+			);
+		}
+		return true;
+	};
+
+	// Wait for the page to be hidden, at which point the URL Metric is submitted since this may be the last opportunity.
+	await waitForPageHidden();
+
+	if ( signal.aborted || ! ( await retargetResizedViewport() ) ) {
 		return;
 	}
 
@@ -956,25 +4051,32 @@ export default async function detect( {
 			extension,
 		] of extensions.entries() ) {
 			if ( extension.finalize instanceof Function ) {
+				const extensionName =
+					extension.name ||
+					getExtensionNameFromScriptModuleUrl( extensionModuleUrl );
 				const extensionLogger = createLogger(
 					isDebug,
-					`[Optimization Detective: ${
-						extension.name ||
-						getExtensionNameFromScriptModuleUrl(
-							extensionModuleUrl
-						)
-					}]`,
+					`[Optimization Detective: ${ extensionName }]`,
 					extensionModuleUrl
 				);
 
 				try {
 					const finalizePromise = extension.finalize( {
+						args: extensionArgsByModuleUrl.get(
+							extensionModuleUrl
+						),
 						isDebug,
 						...extensionLogger,
 						getRootData,
 						getElementData,
-						extendElementData,
-						extendRootData,
+						extendElementData: ( xpath, properties ) =>
+							extendElementData(
+								xpath,
+								properties,
+								extensionName
+							),
+						extendRootData: ( properties ) =>
+							extendRootData( properties, extensionName ),
 					} );
 					if ( finalizePromise instanceof Promise ) {
 						extensionFinalizePromises.push( finalizePromise );
@@ -1008,103 +4110,42 @@ export default async function detect( {
 		}
 	}
 
-	/*
-	 * Now prepare the URL Metric to be sent in the JSON request body.
-	 */
-
-	const maxBodyLengthKiB = 64;
-	const maxBodyLengthBytes = maxBodyLengthKiB * 1024;
-
-	const jsonBody = JSON.stringify( urlMetric );
-	if ( jsonBody.length > maxUrlMetricSize ) {
-		error(
-			`URL Metric is ${ jsonBody.length.toLocaleString() } bytes, exceeding the maximum size of ${ maxUrlMetricSize.toLocaleString() } bytes:`,
-			urlMetric
-		);
-		return;
-	}
-	compressionEnabled = compressionEnabled && null !== compressedPayload;
-	const payloadBlob = compressionEnabled
-		? compressedPayload
-		: new Blob( [ jsonBody ], { type: 'application/json' } );
-	const percentOfBudget =
-		( payloadBlob.size / ( maxBodyLengthKiB * 1000 ) ) * 100;
-
-	/*
-	 * According to the fetch() spec:
-	 * "If the sum of contentLength and inflightKeepaliveBytes is greater than 64 kibibytes, then return a network error."
-	 * This is what browsers also implement for navigator.sendBeacon(). Therefore, if the size of the JSON is greater
-	 * than the maximum, we should avoid even trying to send it.
-	 */
-	if ( payloadBlob.size > maxBodyLengthBytes ) {
-		error(
-			`Unable to send URL Metric because it is ${ payloadBlob.size.toLocaleString() } bytes, ${ Math.round(
-				percentOfBudget
-			) }% of ${ maxBodyLengthKiB } KiB limit:`,
-			urlMetric
-		);
+	if ( signal.aborted ) {
 		return;
 	}
 
-	// Even though the server may reject the REST API request, we still have to set the storage lock
-	// because we can't look at the response when sending a beacon.
-	setStorageLock( getCurrentTime() );
-
-	// Remember that the URL Metric was submitted for this URL to avoid having multiple entries submitted by the same client.
-	if ( null !== alreadySubmittedSessionStorageKey ) {
-		sessionStorage.setItem(
-			alreadySubmittedSessionStorageKey,
-			String( getCurrentTime() )
-		);
-	}
-
-	let message = 'Sending URL Metric (';
-	message += `${ payloadBlob.size.toLocaleString() } bytes`;
-	message += `, ${ Math.round(
-		percentOfBudget
-	) }% of ${ maxBodyLengthKiB } KiB limit`;
-	if ( compressionEnabled ) {
-		message += `, gzip compressed -${ Math.round(
-			( ( jsonBody.length - payloadBlob.size ) / jsonBody.length ) * 100
-		) }%`;
-	} else {
-		message += ', uncompressed';
+	let lastSubmittedJsonBody = JSON.stringify( urlMetric );
+	if ( ! ( await submitUrlMetric( lastSubmittedJsonBody, false ) ) ) {
+		return;
 	}
-	message += '):';
 
-	// The threshold of 50% is used because the limit for all beacons combined is 64 KiB, not just the data for one beacon.
-	if ( percentOfBudget < 50 ) {
-		log( message, urlMetric );
-	} else {
-		warn( message, urlMetric );
-	}
+	// If the page becomes visible again (e.g. after switching back to the tab), more data may be added to the URL Metric
+	// by extensions, so an update is submitted the next time the page is hidden. The update replaces the URL Metric
+	// previously submitted with the same UUID rather than storing a second URL Metric for the same page visit. The REST
+	// API only authorizes an update with the token it returned when the URL Metric was stored, so if that response was
+	// never received (e.g. because the initial submission failed), the URL Metric is submitted again instead. In that
+	// case, the REST API does not store it a second time if the initial submission did actually land.
+	while ( null !== uuid ) {
+		await waitForPageVisible();
+		await waitForPageHidden();
 
-	const url = new URL( restApiEndpoint );
-	if ( typeof restApiNonce === 'string' ) {
-		url.searchParams.set( '_wpnonce', restApiNonce );
-	}
-	url.searchParams.set( 'slug', urlMetricSlug );
-	url.searchParams.set( 'current_etag', currentETag );
-	if ( typeof cachePurgePostId === 'number' ) {
-		url.searchParams.set(
-			'cache_purge_post_id',
-			cachePurgePostId.toString()
-		);
-	}
-	url.searchParams.set( 'hmac', urlMetricHMAC );
+		if ( signal.aborted || ! ( await retargetResizedViewport() ) ) {
+			return;
+		}
 
-	const headers = {
-		'Content-Type': 'application/json',
-	};
-	if ( compressionEnabled ) {
-		headers[ 'Content-Encoding' ] = 'gzip';
+		const jsonBody = JSON.stringify( urlMetric );
+		if ( jsonBody === lastSubmittedJsonBody ) {
+			log( 'URL Metric is unchanged since it was submitted.' );
+			continue;
+		}
+		if (
+			! ( await submitUrlMetric(
+				jsonBody,
+				null !== updateToken || isDryRun
+			) )
+		) {
+			return;
+		}
+		lastSubmittedJsonBody = jsonBody;
 	}
-
-	const request = new Request( url, {
-		method: 'POST',
-		body: payloadBlob,
-		headers,
-		keepalive: true, // This makes fetch() behave the same as navigator.sendBeacon().
-	} );
-	await fetch( request );
 }
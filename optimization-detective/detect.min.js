@@ -1 +1 @@
-const win=window,doc=win.document,consoleLogPrefix="[Optimization Detective]",storageLockTimeSessionKey="odStorageLockTime",compressionDebounceWaitDuration=1e3;function isStorageLocked(e,t){if(0===t)return!1;try{const n=parseInt(sessionStorage.getItem("odStorageLockTime"));return!isNaN(n)&&e<n+1e3*t}catch(e){return!1}}function setStorageLock(e){try{sessionStorage.setItem("odStorageLockTime",String(e))}catch(e){}}function createLogger(e=!1,t=null,n=null){const o=n?`\nSource: ${n}`:null,i=(e,n=!1)=>[t,...e,n?o:null].filter((e=>null!==e));return{log(...t){e&&console.log(...i(t,!1))},info(...t){e&&console.info(...i(t,!1))},warn(...t){e&&console.warn(...i(t,!0))},error(...e){console.error(...i(e,!0))}}}function getExtensionNameFromScriptModuleUrl(e){try{const t=new URL(e,win.location.href),n=t.pathname.match(/\/(?:themes|plugins)\/([^\/]+)\//);return n?n[1]:t.pathname}catch(t){return e}}function getGroupForViewportWidth(e,t){for(const n of t)if(e>n.minimumViewportWidth&&(null===n.maximumViewportWidth||e<=n.maximumViewportWidth))return n;throw new Error(`${consoleLogPrefix} Unexpectedly unable to locate group for the current viewport width.`)}async function getAlreadySubmittedSessionStorageKey(e,t,n,{warn:o,error:i}){if(!win.crypto||!win.crypto.subtle)return o("Unable to generate sessionStorage key for already-submitted URL since crypto is not available, likely due to to the page not being served via HTTPS."),null;try{const o=[e,t,n.minimumViewportWidth,n.maximumViewportWidth||""].join("-"),i=(new TextEncoder).encode(o),r=await crypto.subtle.digest("SHA-1",i);return`odSubmitted-${Array.from(new Uint8Array(r)).map((e=>e.toString(16).padStart(2,"0"))).join("")}`}catch(e){return i("Unable to generate sessionStorage key for already-submitted URL due to error:",e),null}}function getCurrentTime(){return Date.now()}function recursiveFreeze(e){for(const t of Object.getOwnPropertyNames(e)){const n=e[t];null!==n&&"object"==typeof n&&recursiveFreeze(n)}Object.freeze(e)}let urlMetric;const reservedRootPropertyKeys=new Set(["url","viewport","elements"]);function getRootData(){const e=structuredClone(urlMetric);return recursiveFreeze(e),e}function extendRootData(e){for(const t of Object.getOwnPropertyNames(e))if(reservedRootPropertyKeys.has(t))throw new Error(`Disallowed setting of key '${t}' on root.`);Object.assign(urlMetric,e),debounceCompressUrlMetric()}const elementsByXPath=new Map,reservedElementPropertyKeys=new Set(["isLCP","isLCPCandidate","xpath","intersectionRatio","intersectionRect","boundingClientRect"]);function getElementData(e){const t=elementsByXPath.get(e);if(t){const e=structuredClone(t);return recursiveFreeze(e),e}return null}function extendElementData(e,t){if(!elementsByXPath.has(e))throw new Error(`Unknown element with XPath: ${e}`);for(const e of Object.getOwnPropertyNames(t))if(reservedElementPropertyKeys.has(e))throw new Error(`Disallowed setting of key '${e}' on element.`);const n=elementsByXPath.get(e);Object.assign(n,t),debounceCompressUrlMetric()}async function compress(e){const t=(new TextEncoder).encode(e),n=new Blob([t]).stream().pipeThrough(new CompressionStream("gzip")),o=await new Response(n).arrayBuffer();return new Blob([o],{type:"application/gzip"})}let compressedPayload=null,recompressionTimeout=null,idleCallbackHandle=null,compressionEnabled=!0;function debounceCompressUrlMetric(){compressionEnabled&&(null!==recompressionTimeout&&(clearTimeout(recompressionTimeout),recompressionTimeout=null),null!==idleCallbackHandle&&"function"==typeof cancelIdleCallback&&(cancelIdleCallback(idleCallbackHandle),idleCallbackHandle=null),recompressionTimeout=setTimeout((async()=>{"function"==typeof requestIdleCallback&&(await new Promise((e=>{idleCallbackHandle=requestIdleCallback(e)})),idleCallbackHandle=null);try{compressedPayload=await compress(JSON.stringify(urlMetric))}catch(e){const{error:t}=createLogger(!1,consoleLogPrefix);t("Failed to compress URL Metric falling back to sending uncompressed data:",e),compressionEnabled=!1}recompressionTimeout=null}),1e3))}export default async function detect({minViewportAspectRatio:e,maxViewportAspectRatio:t,isDebug:n,extensionModuleUrls:o,restApiEndpoint:i,restApiNonce:r,gzdecodeAvailable:s,maxUrlMetricSize:a,currentETag:c,currentUrl:l,urlMetricSlug:d,cachePurgePostId:u,urlMetricHMAC:m,urlMetricGroupStatuses:p,storageLockTTL:g,freshnessTTL:f,webVitalsLibrarySrc:h,urlMetricGroupCollection:w}){const b=createLogger(n,consoleLogPrefix),{log:y,warn:L,error:S}=b;if(compressionEnabled=s,n&&Array.isArray(w?.groups)){const e=[];for(const t of w.groups)for(const n of t.url_metrics)n.creationDate=new Date(1e3*n.timestamp),e.push(n);y("Stored URL Metric Group Collection:",w),e.sort(((e,t)=>t.timestamp-e.timestamp)),y("Stored URL Metrics in reverse chronological order:",e)}if(0===win.innerWidth||0===win.innerHeight)return void y("Window must have non-zero dimensions for URL Metric collection.");if("hidden"===doc.visibilityState&&!doc.prerendering)return void y("Page opened in background tab so URL Metric is not collected.");const P=getGroupForViewportWidth(win.innerWidth,p);if(P.complete)return void y("No need for URL Metrics from the current viewport.");const v=await getAlreadySubmittedSessionStorageKey(c,l,P,b);if(null!==v&&v in sessionStorage){const e=parseInt(sessionStorage.getItem(v),10);if(!isNaN(e)&&(f<0||(getCurrentTime()-e)/1e3<f))return void y("The current client session already submitted a fresh URL Metric for this URL so a new one will not be collected now.")}const M=win.innerWidth/win.innerHeight;if(M<e||M>t)return void L(`Viewport aspect ratio (${M}) is not in the accepted range of ${e} to ${t}.`);if(isStorageLocked(getCurrentTime(),g))return void L("Aborted detection due to storage being locked.");let C=!1;win.addEventListener("resize",(()=>{C=!0}),{once:!0});const{onTTFB:R,onFCP:E,onLCP:x,onINP:z,onCLS:U}=await import(h);if(doc.documentElement.scrollTop>0)return void L("Aborted detection since initial scroll position of page is not at the top.");y("Proceeding with detection");const T=doc.body.querySelectorAll("[data-od-xpath]"),D=new Map([...T].map((e=>[e,e.getAttribute("data-od-xpath")]))),k=[];let $;function F(){$ instanceof IntersectionObserver&&($.disconnect(),win.removeEventListener("scroll",F))}D.size>0&&(await new Promise((e=>{$=new IntersectionObserver((t=>{for(const e of t)k.push(e);e()}),{root:null,threshold:0});for(const e of D.keys())$.observe(e)})),win.addEventListener("scroll",F,{once:!0,passive:!0}));const A=[];await new Promise((e=>{x((t=>{A.push(t),e()}),{reportAllChanges:!0})})),F(),urlMetric={url:l,viewport:{width:win.innerWidth,height:win.innerHeight},elements:[]};const O=A[A.length-1];for(const e of k){const t=D.get(e.target);if(!t){L("Unable to look up XPath for element");continue}const n=O?.entries[0]?.element,o={isLCP:e.target===n,isLCPCandidate:!!A.find((t=>{const n=t.entries[0]?.element;return n===e.target})),xpath:t,intersectionRatio:e.intersectionRatio,intersectionRect:e.intersectionRect,boundingClientRect:e.boundingClientRect};urlMetric.elements.push(o),elementsByXPath.set(o.xpath,o)}D.clear();const N=new Map;let I=!1;const j=[],B=[];await Promise.all(o.map((async e=>{const t=await import(e);N.set(e,t)})));for(const[e,t]of N.entries())try{const o=createLogger(n,`[Optimization Detective: ${t.name||getExtensionNameFromScriptModuleUrl(e)}]`,e);if(t.initialize instanceof Function){const i=t.initialize({isDebug:n,...o,onTTFB:R,onFCP:E,onLCP:x,onINP:z,onCLS:U,getRootData,extendRootData,getElementData,extendElementData});i instanceof Promise&&(j.push(i),B.push(e))}t.finalize instanceof Function&&(o.warn("Use of the finalize function in extensions is deprecated. Please refactor your extension to use the initialize function instead, and update the URL Metric data as soon as a change is detected rather than waiting until finalization."),I=!0)}catch(t){S(`Failed to start initializing extension '${e}':`,t)}const W=await Promise.allSettled(j);for(const[e,t]of W.entries())"rejected"===t.status&&S(`Failed to initialize extension '${B[e]}':`,t.reason);if(compressionEnabled&&I&&(compressionEnabled=!1,L("URL Metric compression is disabled because one or more extensions use the deprecated finalize function.")),y("Current URL Metric:",urlMetric),debounceCompressUrlMetric(),await new Promise((e=>{win.addEventListener("pagehide",e,{once:!0}),win.addEventListener("pageswap",e,{once:!0}),doc.addEventListener("visibilitychange",(()=>{"hidden"===doc.visibilityState&&e()}),{once:!0})})),C)return void y("Aborting URL Metric collection due to viewport size change.");if(N.size>0){const e=[],t=[];for(const[o,i]of N.entries())if(i.finalize instanceof Function){const r=createLogger(n,`[Optimization Detective: ${i.name||getExtensionNameFromScriptModuleUrl(o)}]`,o);try{const s=i.finalize({isDebug:n,...r,getRootData,getElementData,extendElementData,extendRootData});s instanceof Promise&&(e.push(s),t.push(o))}catch(e){S(`Unable to start finalizing extension '${o}':`,e)}}const o=await Promise.allSettled(e);for(const[e,n]of o.entries())"rejected"===n.status&&S(`Failed to finalize extension '${t[e]}':`,n.reason)}const H=JSON.stringify(urlMetric);if(H.length>a)return void S(`URL Metric is ${H.length.toLocaleString()} bytes, exceeding the maximum size of ${a.toLocaleString()} bytes:`,urlMetric);compressionEnabled=compressionEnabled&&null!==compressedPayload;const V=compressionEnabled?compressedPayload:new Blob([H],{type:"application/json"}),K=V.size/64e3*100;if(V.size>65536)return void S(`Unable to send URL Metric because it is ${V.size.toLocaleString()} bytes, ${Math.round(K)}% of 64 KiB limit:`,urlMetric);setStorageLock(getCurrentTime()),null!==v&&sessionStorage.setItem(v,String(getCurrentTime()));let X="Sending URL Metric (";X+=`${V.size.toLocaleString()} bytes`,X+=`, ${Math.round(K)}% of 64 KiB limit`,X+=compressionEnabled?`, gzip compressed -${Math.round((H.length-V.size)/H.length*100)}%`:", uncompressed",X+="):",K<50?y(X,urlMetric):L(X,urlMetric);const _=new URL(i);"string"==typeof r&&_.searchParams.set("_wpnonce",r),_.searchParams.set("slug",d),_.searchParams.set("current_etag",c),"number"==typeof u&&_.searchParams.set("cache_purge_post_id",u.toString()),_.searchParams.set("hmac",m);const G={"Content-Type":"application/json"};compressionEnabled&&(G["Content-Encoding"]="gzip");const q=new Request(_,{method:"POST",body:V,headers:G,keepalive:!0});await fetch(q)}
\ No newline at end of file
+const win=window,doc=win.document,consoleLogPrefix="[Optimization Detective]",detectionEventNamePrefix="optimization-detective:",storageLockTimeSessionKey="odStorageLockTime",compressionDebounceWaitDuration=1e3,outboxDatabaseName="odUrlMetricOutbox",outboxObjectStoreName="pendingUrlMetrics",maxOutboxSize=10,maxOutboxSubmissionAttempts=3,maxOutboxFlushDuration=3e3,maxInsignificantViewportHeightChangeRatio=.25;function isStorageLocked(e,t){if(0===t)return!1;try{const n=parseInt(sessionStorage.getItem("odStorageLockTime"));return!isNaN(n)&&e<n+1e3*t}catch(e){return!1}}function setStorageLock(e){try{sessionStorage.setItem("odStorageLockTime",String(e))}catch(e){}}export function createLogger(e=!1,t=null,n=null){const o=n?`\nSource: ${n}`:null,r=(e,n=!1)=>[t,...e,n?o:null].filter((e=>null!==e));return{log(...t){e&&console.log(...r(t,!1))},info(...t){e&&console.info(...r(t,!1))},warn(...t){e&&console.warn(...r(t,!0))},error(...e){console.error(...r(e,!0))}}}function getExtensionNameFromScriptModuleUrl(e){try{const t=new URL(e,win.location.href),n=t.pathname.match(/\/(?:themes|plugins)\/([^\/]+)\//);return n?n[1]:t.pathname}catch(t){return e}}function getExtensionArgsByModuleUrl(e){const t=new Map;if(Array.isArray(e))for(const n of e)t.set(n,{});else if(null!==e&&"object"==typeof e)for(const[n,o]of Object.entries(e))t.set(n,null!==o&&"object"==typeof o?o:{});for(const e of t.values())recursiveFreeze(e);return t}function getGroupForViewportWidth(e,t){for(const n of t)if(e>n.minimumViewportWidth&&(null===n.maximumViewportWidth||e<=n.maximumViewportWidth))return n;throw new Error(`${consoleLogPrefix} Unexpectedly unable to locate group for the current viewport width.`)}function hasAlreadySubmittedFreshUrlMetric(e,t){if(null===e||!(e in sessionStorage))return!1;const n=parseInt(sessionStorage.getItem(e),10);return!isNaN(n)&&(t<0||(getCurrentTime()-n)/1e3<t)}function isSignificantViewportResize(e,t){return e.width!==t.width||Math.abs(t.height-e.height)/e.height>.25}async function getAlreadySubmittedSessionStorageKey(e,t,n,{warn:o,error:r}){if(!win.crypto||!win.crypto.subtle)return o("Unable to generate sessionStorage key for already-submitted URL since crypto is not available, likely due to to the page not being served via HTTPS."),null;try{const o=[e,t,n.minimumViewportWidth,n.maximumViewportWidth||""].join("-"),r=(new TextEncoder).encode(o),i=await crypto.subtle.digest("SHA-1",r);return`odSubmitted-${Array.from(new Uint8Array(i)).map((e=>e.toString(16).padStart(2,"0"))).join("")}`}catch(e){return r("Unable to generate sessionStorage key for already-submitted URL due to error:",e),null}}function getCurrentTime(){return Date.now()}function recursiveFreeze(e){for(const t of Object.getOwnPropertyNames(e)){const n=e[t];null!==n&&"object"==typeof n&&recursiveFreeze(n)}Object.freeze(e)}let urlMetric,collectionCycleAbortController=null,urlMetricSchema=null;function isValueOfSchemaType(e,t){switch(t){case"null":return null===e;case"boolean":return"boolean"==typeof e;case"integer":return Number.isInteger(e);case"number":return"number"==typeof e&&Number.isFinite(e);case"string":return"string"==typeof e;case"array":return Array.isArray(e);case"object":return null!==e&&"object"==typeof e&&!Array.isArray(e)}return!1}function getSchemaValidationError(e,t,n){const o=[].concat(t.type||[]),r=o.find((t=>isValueOfSchemaType(e,t)));if(o.length>0&&!r)return`${n} is not of type ${o.join(",")}.`;if(Array.isArray(t.enum)&&!t.enum.some((t=>JSON.stringify(t)===JSON.stringify(e))))return`${n} is not one of ${t.enum.map((e=>JSON.stringify(e))).join(", ")}.`;if("number"===r||"integer"===r){if("number"==typeof t.minimum&&(t.exclusiveMinimum?e<=t.minimum:e<t.minimum))return`${n} must be greater than ${t.exclusiveMinimum?"":"or equal to "}${t.minimum}`;if("number"==typeof t.maximum&&(t.exclusiveMaximum?e>=t.maximum:e>t.maximum))return`${n} must be less than ${t.exclusiveMaximum?"":"or equal to "}${t.maximum}`}else if("string"===r){if("number"==typeof t.minLength&&e.length<t.minLength)return`${n} must be at least ${t.minLength} characters long.`;if("number"==typeof t.maxLength&&e.length>t.maxLength)return`${n} must be at most ${t.maxLength} characters long.`;if("string"==typeof t.pattern&&!new RegExp(t.pattern).test(e))return`${n} does not match pattern ${t.pattern}.`}else if("array"===r){if("number"==typeof t.minItems&&e.length<t.minItems)return`${n} must contain at least ${t.minItems} items.`;if("number"==typeof t.maxItems&&e.length>t.maxItems)return`${n} must contain at most ${t.maxItems} items.`;if(t.items)for(const[o,r]of e.entries()){const e=getSchemaValidationError(r,t.items,`${n}[${o}]`);if(e)return e}}else if("object"===r){const o=t.properties||{};for(const[t,r]of Object.entries(o)){if(!(t in e)){if(!0===r.required)return`${t} is a required property of ${n}.`;continue}const o=getSchemaValidationError(e[t],r,`${n}[${t}]`);if(o)return o}for(const r of Object.keys(e))if(!(r in o)){if(!1===t.additionalProperties)return`${r} is not a valid property of ${n}.`;if("object"==typeof t.additionalProperties){const o=getSchemaValidationError(e[r],t.additionalProperties,`${n}[${r}]`);if(o)return o}}}return null}function validateExtendedProperties(e,t,n,o){const r="root"===n?"od_url_metric_schema_root_additional_properties":"od_url_metric_schema_element_item_additional_properties";for(const[i,s]of Object.entries(e)){if(!Object.hasOwn(t,i))throw new Error(`Key '${i}' set on ${n}${o} is not in the URL Metric schema. It must be added via the ${r} filter.`);const e=getSchemaValidationError(s,t[i],i);if(e)throw new Error(`Invalid value for key '${i}' set on ${n}${o}: ${e}`)}}function getByExtensionPhrase(e){return e?` by extension '${e}'`:""}const reservedRootPropertyKeys=new Set(["url","viewport","elements","lcp","scrollOffset","device","network","truncated","fonts","longAnimationFrames"]);function getRootData(){const e=structuredClone(urlMetric);return recursiveFreeze(e),e}function dispatchDetectionEvent(e,t){doc.dispatchEvent(new CustomEvent(detectionEventNamePrefix+e,{detail:Object.freeze(t)}))}function extendRootData(e,t=null){const n=getByExtensionPhrase(t);for(const t of Object.getOwnPropertyNames(e))if(reservedRootPropertyKeys.has(t))throw new Error(`Disallowed setting of key '${t}' on root${n}.`);urlMetricSchema&&validateExtendedProperties(e,urlMetricSchema.root,"root",n),Object.assign(urlMetric,e),debounceCompressUrlMetric()}const elementsByXPath=new Map,reservedElementPropertyKeys=new Set(["isLCP","isLCPCandidate","xpath","intersectionRatio","intersectionRect","boundingClientRect","layoutShiftScore","layoutShiftPreviousRect","layoutShiftCurrentRect","backgroundImageUrls","isBackgroundImageLCP","firstVisibleTime","maxIntersectionRatio","isVisibleBeforeInteraction","image"]);function getElementData(e){const t=elementsByXPath.get(e);if(t){const e=structuredClone(t);return recursiveFreeze(e),e}return null}function extendElementData(e,t,n=null){if(!elementsByXPath.has(e))throw new Error(`Unknown element with XPath: ${e}`);const o=getByExtensionPhrase(n);for(const e of Object.getOwnPropertyNames(t))if(reservedElementPropertyKeys.has(e))throw new Error(`Disallowed setting of key '${e}' on element${o}.`);urlMetricSchema&&validateExtendedProperties(t,urlMetricSchema.element,"element",o);const r=elementsByXPath.get(e);Object.assign(r,t),debounceCompressUrlMetric()}function isFixedToViewport(e){let t=e;for(;t&&!(t instanceof HTMLElement);)t=t.parentElement;for(let e=t;e instanceof HTMLElement;e=e.offsetParent){const t=win.getComputedStyle(e);if("fixed"===t.position)return!0;if("sticky"===t.position){const n=e.getBoundingClientRect();if(Math.abs(n.top-parseFloat(t.top))<1||Math.abs(win.innerHeight-n.bottom-parseFloat(t.bottom))<1)return!0}}return!1}function getDocumentRect(e,t){return new DOMRectReadOnly(e.x+t.x,e.y+t.y,e.width,e.height)}function getRectIntersection(e,t){const n=Math.max(e.left,t.left),o=Math.max(e.top,t.top);return new DOMRectReadOnly(n,o,Math.max(0,Math.min(e.right,t.right)-n),Math.max(0,Math.min(e.bottom,t.bottom)-o))}function getLayoutShiftSourceImpactArea(e){const t=new DOMRectReadOnly(0,0,win.innerWidth,win.innerHeight),n=e=>{const n=getRectIntersection(e,t);return n.width*n.height};return n(e.previousRect)+n(e.currentRect)-n(getRectIntersection(e.previousRect,e.currentRect))}function*generateTrimmedUrlMetrics(e,t){e.truncated=!0,e.elements=e.elements.filter((e=>e.intersectionRatio>0)),yield e,e.elements=e.elements.filter((e=>e.isLCPCandidate)),yield e;const n=[...new Set(t.values())].sort(((e,t)=>e-t));for(const o of n){for(const[n,r]of t.entries())if(r===o&&(reservedRootPropertyKeys.has(n)||Reflect.deleteProperty(e,n),!reservedElementPropertyKeys.has(n)))for(const t of e.elements)Reflect.deleteProperty(t,n);yield e}}function getLCPData(e,t){const n=e.entries[e.entries.length-1],o=n?.url||null,r=o?performance.getEntriesByType("resource").find((e=>e.name===o)):void 0;let i;if("attribution"in e)i=e.attribution;else{const t=performance.getEntriesByType("navigation")[0],n=t?.activationStart||0,o=Math.max(0,(t?.responseStart||0)-n),s=Math.max(o,r?(r.requestStart||r.startTime)-n:0),a=Math.max(s,r?r.responseEnd-n:0);i={timeToFirstByte:o,resourceLoadDelay:s-o,resourceLoadDuration:a-s,elementRenderDelay:Math.max(a,e.value)-a}}let s=!1;if(t&&o)try{for(const e of doc.querySelectorAll('link[rel~="preload"]')){const t=e;if(t.href===o||t.imageSrcset?.split(",").some((e=>new URL(e.trim().split(/\s+/)[0],doc.baseURI).href===o))){s=!0;break}}}catch(e){}return{value:e.value,timeToFirstByte:i.timeToFirstByte,resourceLoadDelay:i.resourceLoadDelay,resourceLoadDuration:i.resourceLoadDuration,elementRenderDelay:i.elementRenderDelay,url:t&&o&&!o.startsWith("data:")?o:null,initiatorType:t&&r?.initiatorType||null,isPreloaded:s}}function getDeviceData(){const e=win.navigator,t={pixelRatio:win.devicePixelRatio,prefersReducedMotion:win.matchMedia("(prefers-reduced-motion: reduce)").matches,prefersColorScheme:win.matchMedia("(prefers-color-scheme: dark)").matches?"dark":"light"};return e.deviceMemory>0&&(t.memory=e.deviceMemory),e.hardwareConcurrency>0&&(t.hardwareConcurrency=e.hardwareConcurrency),t}function getNetworkData(){const{connection:e}=win.navigator,t={};return["slow-2g","2g","3g","4g"].includes(e?.effectiveType)&&(t.effectiveType=e.effectiveType),"boolean"==typeof e?.saveData&&(t.saveData=e.saveData),t}const maxLongAnimationFrames=10,maxLongAnimationFrameScripts=10;function getLongAnimationFrameData(e,t){const n=new Map;for(const t of e)for(const e of t.scripts){if(!/^https?:/.test(e.sourceURL))continue;const t=n.get(e.sourceURL)??{url:e.sourceURL,invokerTypes:[],count:0,duration:0};t.invokerTypes.includes(e.invokerType)||t.invokerTypes.push(e.invokerType),t.count++,t.duration+=e.duration,n.set(e.sourceURL,t)}return{count:t,frames:e.map((e=>({startTime:Math.round(e.startTime),duration:Math.round(e.duration),blockingDuration:Math.round(e.blockingDuration)}))),scripts:[...n.values()].sort(((e,t)=>t.duration-e.duration)).slice(0,10).map((e=>({...e,duration:Math.round(e.duration)})))}}const maxFontUsageTextElements=500;function normalizeFontFamily(e){return e.trim().replace(/^(["'])(.*)\1$/,"$2").toLowerCase()}function parseFontWeightRange(e){const t=e.trim().split(/\s+/).map((e=>"normal"===e?400:"bold"===e?700:parseFloat(e)));return[t[0],t[t.length-1]]}function getFontFaceKey(e,t,n){return[normalizeFontFamily(e),parseFontWeightRange(t||"normal").join(" "),(n||"normal").trim().toLowerCase()].join("|")}function getFontFaceRuleUrls(){const e=new Map;for(const t of doc.styleSheets){let n;try{n=t.cssRules}catch(e){continue}for(const o of n){if(!(o instanceof CSSFontFaceRule))continue;const n=o.style.getPropertyValue("src").match(/url\(\s*["']?([^"')]+)["']?\s*\)/);n&&!n[1].startsWith("data:")&&e.set(getFontFaceKey(o.style.getPropertyValue("font-family"),o.style.getPropertyValue("font-weight"),o.style.getPropertyValue("font-style")),new URL(n[1],t.href||doc.baseURI).href)}}return e}function findUsedFontFace(e,t){const n=parseFloat(t.fontWeight),o="normal"!==t.fontStyle,r=e=>{const[t,r]=parseFontWeightRange(e.weight);return("normal"!==e.style!==o?1e3:0)+Math.max(t-n,n-r,0)};for(const n of t.fontFamily.split(",")){const t=e.filter((e=>normalizeFontFamily(e.family)===normalizeFontFamily(n)));if(t.length>0)return t.reduce(((e,t)=>r(t)<r(e)?t:e))}return null}function getFontData(e){if(!doc.fonts)return[];const t=[...doc.fonts].filter((e=>"loaded"===e.status));if(0===t.length)return[];const n=new Set,o=new Set;for(const r of e){const e=isFixedToViewport(r)?{x:0,y:0}:{x:win.scrollX,y:win.scrollY},i=doc.createTreeWalker(r,NodeFilter.SHOW_TEXT);for(;o.size<500&&i.nextNode();){const r=i.currentNode.parentElement;if(!r||o.has(r)||""===i.currentNode.textContent.trim())continue;if(o.add(r),0===getInitialViewportIntersection(r.getBoundingClientRect(),e).intersectionRatio)continue;const s=findUsedFontFace(t,win.getComputedStyle(r));s&&n.add(s)}}const r=getFontFaceRuleUrls();return[...n].map((e=>({family:e.family.replace(/^(["'])(.*)\1$/,"$2"),weight:e.weight,style:e.style,url:r.get(getFontFaceKey(e.family,e.weight,e.style))??null,blockedTextRendering:"auto"===e.display||"block"===e.display})))}function getBackgroundImageUrls(e){const t=[],{backgroundImage:n}=win.getComputedStyle(e);if(!n||"none"===n)return t;for(const e of n.matchAll(/url\(\s*"((?:[^"\\]|\\.)*)"\s*\)/g)){const n=e[1].replace(/\\(.)/g,"$1");n.startsWith("data:")||t.includes(n)||t.push(n)}return t}function getContentBoxSize(e){const{paddingLeft:t,paddingRight:n,paddingTop:o,paddingBottom:r}=win.getComputedStyle(e);return{width:Math.max(0,e.clientWidth-parseFloat(t)-parseFloat(n)),height:Math.max(0,e.clientHeight-parseFloat(o)-parseFloat(r))}}const videoPosterImages=new WeakMap;function getRenderedImage(e){if(e instanceof HTMLImageElement)return e;if(e instanceof HTMLPictureElement)return e.querySelector("img");if(e instanceof HTMLVideoElement&&e.poster){let t=videoPosterImages.get(e);return t&&t.src===e.poster||(t=new Image,t.src=e.poster,videoPosterImages.set(e,t)),t}return null}function getInitialViewportIntersection(e,t){const n=getDocumentRect(e,t),o=Math.max(n.left,0),r=Math.max(n.top,0),i=Math.min(n.right,win.innerWidth),s=Math.min(n.bottom,win.innerHeight);if(i<o||s<r)return{intersectionRatio:0,intersectionRect:new DOMRectReadOnly(0,0,0,0),boundingClientRect:n};const a=new DOMRectReadOnly(o,r,i-o,s-r),c=n.width*n.height;return{intersectionRatio:c>0?Math.min(a.width*a.height/c,1):0,intersectionRect:a,boundingClientRect:n}}async function compress(e){const t=(new TextEncoder).encode(e),n=new Blob([t]).stream().pipeThrough(new CompressionStream("gzip")),o=await new Response(n).arrayBuffer();return new Blob([o],{type:"application/gzip"})}let compressedPayload=null,compressedJsonBody=null,recompressionTimeout=null,idleCallbackHandle=null,compressionEnabled=!0;function cancelCompressUrlMetric(){null!==recompressionTimeout&&(clearTimeout(recompressionTimeout),recompressionTimeout=null),null!==idleCallbackHandle&&"function"==typeof cancelIdleCallback&&(cancelIdleCallback(idleCallbackHandle),idleCallbackHandle=null)}function debounceCompressUrlMetric(){compressionEnabled&&(cancelCompressUrlMetric(),recompressionTimeout=setTimeout((async()=>{"function"==typeof requestIdleCallback&&(await new Promise((e=>{idleCallbackHandle=requestIdleCallback(e)})),idleCallbackHandle=null);try{const e=JSON.stringify(urlMetric);compressedPayload=await compress(e),compressedJsonBody=e}catch(e){const{error:t}=createLogger(!1,consoleLogPrefix);t("Failed to compress URL Metric falling back to sending uncompressed data:",e),compressionEnabled=!1}recompressionTimeout=null}),1e3))}function isFetchKeepaliveSupported(){return"function"==typeof Request&&"keepalive"in Request.prototype}async function sendStoreRequest(e,t,n){const o=isFetchKeepaliveSupported();return o||"Content-Encoding"in t||"function"!=typeof navigator.sendBeacon||!navigator.sendBeacon(e,n)?fetch(new Request(e,{method:"POST",body:n,headers:t,keepalive:o})):null}function promisifyIndexedDBRequest(e){return new Promise(((t,n)=>{e.onsuccess=()=>t(e.result),e.onerror=()=>n(e.error)}))}function openOutbox(){const e=win.indexedDB.open(outboxDatabaseName,1);return e.onupgradeneeded=()=>{e.result.createObjectStore("pendingUrlMetrics",{keyPath:"uuid"})},promisifyIndexedDBRequest(e)}async function withOutboxObjectStore(e,t){const n=await openOutbox();try{const o=n.transaction("pendingUrlMetrics",e),r=new Promise(((e,t)=>{o.oncomplete=e,o.onerror=()=>t(o.error),o.onabort=()=>t(o.error)})),i=await t(o.objectStore("pendingUrlMetrics"));return await r,i}finally{n.close()}}function addToOutbox(e){return withOutboxObjectStore("readwrite",(async t=>{const n=await promisifyIndexedDBRequest(t.getAll());for(n.sort(((e,t)=>e.timestamp-t.timestamp));n.length>=10;)t.delete(n.shift().uuid);t.put(e)}))}function removeFromOutbox(e){return withOutboxObjectStore("readwrite",(t=>{t.delete(e)}))}function isRetryableResponse(e){return e.status>=500||423===e.status||429===e.status}async function handleStoreResponse(e,t,n,o,{log:r,warn:i,error:s}){let a={};try{a=await e.json()}catch(e){}const c=a?.storage_lock_ttl??a?.data?.storage_lock_ttl;if("number"==typeof c&&setStorageLock(getCurrentTime()+1e3*(c-t)),e.ok)return r("URL Metric was stored."),a;const l=`${e.status} ${a?.code||e.statusText}: ${a?.message||""}`;if(o&&isRetryableResponse(e))return i(`URL Metric was not stored (${l}). It will be retried on a subsequent page load.`),a;if(null!==n&&(400===e.status||413===e.status))try{sessionStorage.removeItem(n)}catch(e){}return 423===e.status||"url_metric_group_complete"===a?.code?i(`URL Metric was not stored (${l}).`):a?.data?.params||a?.data?.details?s(`URL Metric was rejected (${l})`,a.data.params,a.data.details):s(`URL Metric was rejected (${l}).`),a}export async function flushOutbox({isDebug:e,storageLockTTL:t}){if(!win.indexedDB)return;const n=createLogger(e,consoleLogPrefix),{log:o,warn:r}=n;let i;try{i=await withOutboxObjectStore("readonly",(e=>promisifyIndexedDBRequest(e.getAll())))}catch(e){return void r("Unable to read the URL Metric outbox:",e)}const s=new AbortController,a=setTimeout((()=>{s.abort()}),3e3);i.sort(((e,t)=>e.timestamp-t.timestamp));for(const e of i){if(s.signal.aborted){r("Timed out retrying submissions of URL Metrics from outbox; they will be retried on a subsequent page load.");break}try{if(null!==e.expires&&getCurrentTime()>e.expires||e.attempts>=3){o("Discarding stale URL Metric from outbox."),await removeFromOutbox(e.uuid);continue}const r=new URL(e.url);if(r.searchParams.has("update")&&!r.searchParams.has("update_token")&&r.searchParams.delete("update"),!r.searchParams.has("update")&&isStorageLocked(getCurrentTime(),t))continue;await withOutboxObjectStore("readwrite",(t=>{t.put({...e,attempts:e.attempts+1})})),o("Retrying submission of URL Metric from outbox.");const i=await fetch(new Request(r,{method:"POST",body:e.body,headers:e.headers,keepalive:isFetchKeepaliveSupported(),signal:s.signal}));isRetryableResponse(i)||await removeFromOutbox(e.uuid),await handleStoreResponse(i,t,null,e.attempts+1<3,n)}catch(e){r("Unable to retry submission of URL Metric from outbox:",e)}}clearTimeout(a)}export default async function detect({minViewportAspectRatio:e,maxViewportAspectRatio:t,isDebug:n,extensionModuleUrls:o,restApiEndpoint:r,restApiNonce:i,gzdecodeAvailable:s,maxUrlMetricSize:a,observeInsertedElements:c,collectLongAnimationFrames:l=!1,extensionInitializeTimeout:u=5e3,currentETag:d,currentUrl:m,urlMetricSlug:f,cachePurgePostId:p,urlMetricHMAC:g,urlMetricGroupStatuses:h,storageLockTTL:y,freshnessTTL:b,webVitalsLibrarySrc:w,urlMetricGroupCollection:v,debugOverlaySrc:x,urlMetricSchema:M,isDryRun:R=!1,isRestoredFromCache:S=!1}){collectionCycleAbortController?.abort(),collectionCycleAbortController=new AbortController;const{signal:L}=collectionCycleAbortController;urlMetric=void 0,elementsByXPath.clear(),cancelCompressUrlMetric(),compressedPayload=null,compressedJsonBody=null;const P=createLogger(n,consoleLogPrefix),{log:U,warn:C,error:E}=P;if(compressionEnabled=s&&"function"==typeof CompressionStream&&isFetchKeepaliveSupported(),s&&!compressionEnabled&&U("URL Metric compression is disabled because it is not supported by the browser."),urlMetricSchema=n&&M||null,R&&U("Dry run: the URL Metric will be collected but not submitted, regardless of whether it is needed."),n&&Array.isArray(v?.groups)){const e=[];for(const t of v.groups)for(const n of t.url_metrics)n.creationDate=new Date(1e3*n.timestamp),e.push(n);U("Stored URL Metric Group Collection:",v),e.sort(((e,t)=>t.timestamp-e.timestamp)),U("Stored URL Metrics in reverse chronological order:",e)}let F=null;if(n&&x)try{const{default:e}=await import(x);F=e({urlMetricGroupCollection:v}),L.addEventListener("abort",(()=>F.remove()))}catch(e){E("Failed to load the debug overlay:",e)}const $=(e,t)=>{dispatchDetectionEvent("aborted",{reason:e,urlMetricGroupStatus:t})};if(0===win.innerWidth||0===win.innerHeight)return U("Window must have non-zero dimensions for URL Metric collection."),void $("zero-viewport",null);if("hidden"===doc.visibilityState)return U("Page opened in background tab so URL Metric is not collected."),void $("page-hidden",null);let T=getGroupForViewportWidth(win.innerWidth,h);if(F?.update(T,null),T.complete&&!R)return U("No need for URL Metrics from the current viewport."),void $("group-complete",T);let D=R?null:await getAlreadySubmittedSessionStorageKey(d,m,T,P);if(!S&&hasAlreadySubmittedFreshUrlMetric(D,b))return U("The current client session already submitted a fresh URL Metric for this URL so a new one will not be collected now."),void $("already-submitted",T);const k=win.innerWidth/win.innerHeight;if(k<e||k>t)return C(`Viewport aspect ratio (${k}) is not in the accepted range of ${e} to ${t}.`),void $("aspect-ratio-out-of-range",T);if(!R&&isStorageLocked(getCurrentTime(),y))return C("Aborted detection due to storage being locked."),void $("storage-locked",T);const{onTTFB:O,onFCP:I,onLCP:z,onINP:B,onCLS:A}=await import(w),V={x:win.scrollX,y:win.scrollY},j=0!==V.x||0!==V.y;let N=!1;const W=()=>!j&&!N;j&&U(`Page is not scrolled to the top, so element rects are being computed relative to the document (scroll offset: ${V.x}, ${V.y}).`),U("Proceeding with detection"),dispatchDetectionEvent("started",{urlMetricGroupStatus:T});const _=doc.body.querySelectorAll("[data-od-xpath]"),H=new Map([..._].map((e=>[e,e.getAttribute("data-od-xpath")]))),q=[];let X,K=null;const J=[],G=new Map;let Y=null,Q=!1;const Z=(e,t)=>{N||Object.assign(t,G.get(e)??{firstVisibleTime:null,maxIntersectionRatio:0,isVisibleBeforeInteraction:!1})},ee=(e,t,n)=>{const{intersectionRatio:o}=getInitialViewportIntersection(t,j&&!isFixedToViewport(e)?V:{x:0,y:0});if(0===o||"function"==typeof e.checkVisibility&&!e.checkVisibility({opacityProperty:!0,visibilityProperty:!0}))return;const r=G.get(e)??{firstVisibleTime:Math.round(n),maxIntersectionRatio:0,isVisibleBeforeInteraction:!1};r.maxIntersectionRatio=Math.max(r.maxIntersectionRatio,o),Q||(r.isVisibleBeforeInteraction=!0),G.set(e,r);const i=urlMetric?elementsByXPath.get(H.get(e)):null;i&&(Z(e,i),debounceCompressUrlMetric())},te=new Map;let ne=null;const oe=e=>{if(!(e.target instanceof Element))return;const t=[e.target.closest("[data-od-xpath]"),...e.target.querySelectorAll("[data-od-xpath]")].filter((e=>H.has(e)));if(0!==t.length){for(const n of t)te.set(n,e.timeStamp);null===ne&&(ne=win.requestAnimationFrame((()=>{ne=null;for(const[e,t]of te)ee(e,e.getBoundingClientRect(),t);te.clear()})))}},re=()=>{Q=!0},ie=()=>{Y?.disconnect();for(const e of["animationend","transitionend"])doc.removeEventListener(e,oe,{capture:!0});null!==ne&&(win.cancelAnimationFrame(ne),ne=null),te.clear();for(const e of["pointerdown","keydown"])win.removeEventListener(e,re,{capture:!0});win.removeEventListener("scroll",ie)},se=e=>{const t=H.get(e.target);if(!t)return void C("Unable to look up XPath for element");const{intersectionRatio:n,intersectionRect:o,boundingClientRect:r}=j&&!isFixedToViewport(e.target)?getInitialViewportIntersection(e.boundingClientRect,V):e,i=W(),s=J[J.length-1],a=s?.entries[0]?.element,c={isLCP:i&&e.target===a,isLCPCandidate:i&&!!J.find((t=>{const n=t.entries[0]?.element;return n===e.target})),xpath:t,intersectionRatio:n,intersectionRect:o,boundingClientRect:r};ce(e.target,c),Z(e.target,c),le(e.target,c),urlMetric.elements.push(c),elementsByXPath.set(c.xpath,c)},ae=()=>W()&&J[J.length-1]?.entries[0]?.url||null,ce=(e,t)=>{const n=t.intersectionRatio>0?getBackgroundImageUrls(e):[];n.length>0?(t.backgroundImageUrls=n,t.isBackgroundImageLCP=n.includes(ae())):(delete t.backgroundImageUrls,delete t.isBackgroundImageLCP)},le=(e,t)=>{const n=getRenderedImage(e);if(!n)return;if(!n.complete)return void n.addEventListener("load",(()=>{elementsByXPath.get(t.xpath)===t&&(le(e,t),debounceCompressUrlMetric())}),{once:!0});if(0===n.naturalWidth||!n.currentSrc||n.currentSrc.startsWith("data:"))return void delete t.image;const o=getContentBoxSize(e instanceof HTMLVideoElement?e:n),r={currentSrc:n.currentSrc,naturalWidth:n.naturalWidth,naturalHeight:n.naturalHeight,renderedWidth:o.width,renderedHeight:o.height,devicePixelRatio:win.devicePixelRatio};t.image=r},ue=()=>{urlMetric.fonts=getFontData([...H.entries()].filter((([,e])=>elementsByXPath.get(e)?.intersectionRatio>0)).map((([e])=>e)))},de=()=>{const e=J[J.length-1],t=e?.entries[0]?.element,n=t?elementsByXPath.get(H.get(t)):void 0;e?urlMetric.lcp=getLCPData(e,Boolean(W()&&n&&n.intersectionRatio>0)):delete urlMetric.lcp},me=()=>{const e=J[J.length-1],t=e?.entries[0]?.element,n=new Set(J.map((e=>e.entries[0]?.element)));for(const[e,o]of H.entries()){const r=elementsByXPath.get(o);if(r){const o=W();r.isLCP=o&&e===t,r.isLCPCandidate=o&&n.has(e)}}debounceCompressUrlMetric()},fe=new Map;function pe(){X instanceof IntersectionObserver&&(X.disconnect(),win.removeEventListener("scroll",pe))}function ge(){if(K instanceof MutationObserver){K.disconnect(),K=null;for(const e of["scroll","keydown","click"])win.removeEventListener(e,ge,{capture:!0});doc.removeEventListener("visibilitychange",ge)}pe()}if(H.size>0||c){Y=new IntersectionObserver((e=>{for(const t of e)ee(t.target,t.boundingClientRect,t.time)}),{root:null,threshold:[0,.25,.5,.75,1]});for(const e of["animationend","transitionend"])doc.addEventListener(e,oe,{capture:!0,passive:!0});for(const e of["pointerdown","keydown"])win.addEventListener(e,re,{once:!0,passive:!0,capture:!0});win.addEventListener("scroll",ie,{once:!0,passive:!0}),L.addEventListener("abort",ie);const e=new Promise((e=>{X=new IntersectionObserver((t=>{for(const e of t)urlMetric?elementsByXPath.has(H.get(e.target))||(se(e),de(),debounceCompressUrlMetric(),F?.update(T,urlMetric)):q.push(e);e()}),{root:null,threshold:0})}));for(const e of H.keys())X.observe(e),Y.observe(e);c&&(K=new MutationObserver((e=>{for(const t of e)for(const e of t.addedNodes){if(!(e instanceof Element))continue;const t=[...e.querySelectorAll("[data-od-xpath]")];e.hasAttribute("data-od-xpath")&&t.unshift(e);for(const e of t)H.has(e)||(H.set(e,e.getAttribute("data-od-xpath")),X.observe(e),Y.observe(e))}})),K.observe(doc.body,{childList:!0,subtree:!0})),L.addEventListener("abort",ge),H.size>0&&await e,K?win.addEventListener("scroll",ge,{once:!0,passive:!0,capture:!0}):win.addEventListener("scroll",pe,{once:!0,passive:!0})}if(await new Promise((e=>{z((t=>{L.aborted||(J.push(t),urlMetric&&(de(),(()=>{const e=ae();for(const t of urlMetric.elements)t.backgroundImageUrls&&(t.isBackgroundImageLCP=t.backgroundImageUrls.includes(e))})(),K?me():debounceCompressUrlMetric(),F?.update(T,urlMetric))),e()}),{reportAllChanges:!0})})),L.aborted)return;urlMetric={url:m,viewport:{width:win.innerWidth,height:win.innerHeight},scrollOffset:V,device:getDeviceData(),network:getNetworkData(),elements:[]};for(const e of q)se(e);if(ue(),doc.fonts){const e=()=>{ue(),debounceCompressUrlMetric()};doc.fonts.addEventListener("loadingdone",e),L.addEventListener("abort",(()=>{doc.fonts.removeEventListener("loadingdone",e)}))}if(de(),F?.update(T,urlMetric),K){for(const e of["keydown","click"])win.addEventListener(e,ge,{once:!0,passive:!0,capture:!0});doc.addEventListener("visibilitychange",ge,{once:!0})}else pe();if("function"==typeof PerformanceObserver&&PerformanceObserver.supportedEntryTypes?.includes("layout-shift")){const e=new PerformanceObserver((e=>{for(const t of e.getEntries()){if(t.hadRecentInput)continue;const e=t.sources.map(getLayoutShiftSourceImpactArea),n=e.reduce(((e,t)=>e+t),0);for(const[o,r]of t.sources.entries()){const i=r.node,s=i instanceof Element?i:i?.parentElement,a=s?.closest("[data-od-xpath]"),c=a?.getAttribute("data-od-xpath"),l=c?elementsByXPath.get(c):null;if(!l)continue;const u=n>0?t.value*e[o]/n:t.value/t.sources.length;if(l.layoutShiftScore=(l.layoutShiftScore||0)+u,u>(fe.get(c)||0)){fe.set(c,u);const e=isFixedToViewport(a)?{x:0,y:0}:{x:win.scrollX,y:win.scrollY};l.layoutShiftPreviousRect=getDocumentRect(r.previousRect,e),l.layoutShiftCurrentRect=getDocumentRect(r.currentRect,e)}}}debounceCompressUrlMetric()}));e.observe({type:"layout-shift",buffered:!0}),L.addEventListener("abort",(()=>e.disconnect()))}if(l&&"function"==typeof PerformanceObserver&&PerformanceObserver.supportedEntryTypes?.includes("long-animation-frame")){let e=[],t=0;const n=new PerformanceObserver((n=>{const o=n.getEntries();t+=o.length,e=[...e,...o].sort(((e,t)=>t.duration-e.duration)).slice(0,10),urlMetric.longAnimationFrames=getLongAnimationFrameData(e,t),debounceCompressUrlMetric()}));n.observe({type:"long-animation-frame",buffered:!0}),L.addEventListener("abort",(()=>n.disconnect()))}const he=new Map,ye=getExtensionArgsByModuleUrl(o);let be=!1;const we=[],ve=[],xe=Symbol("extensionTimedOut"),Me=(e,t,n)=>new Promise(((o,r)=>{const i=setTimeout((()=>{C(`Extension '${t}' did not finish running ${n} within ${u} ms, so detection is proceeding without waiting for it.`),o(xe),e.then((()=>{U(`Extension '${t}' finished running ${n} after the timeout.`)}),(e=>{E(`Failed to run ${n} for extension '${t}' after the timeout:`,e)}))}),u);e.then((e=>{clearTimeout(i),o(e)}),(e=>{clearTimeout(i),r(e)}))}));await Promise.all([...ye.keys()].map((async e=>{const t=await import(e);he.set(e,t)})));const Re=new Map;for(const e of he.values())for(const[t,n]of Object.entries(e.trimPriorities||{}))Re.set(t,Math.min(n,Re.get(t)??1/0));for(const[e,t]of he.entries())try{const o=t.name||getExtensionNameFromScriptModuleUrl(e),r=createLogger(n,`[Optimization Detective: ${o}]`,e);if(t.initialize instanceof Function){const i=t.initialize({args:ye.get(e),isDebug:n,...r,onTTFB:O,onFCP:I,onLCP:z,onINP:B,onCLS:A,getRootData,extendRootData:e=>extendRootData(e,o),getElementData,extendElementData:(e,t)=>extendElementData(e,t,o)});i instanceof Promise&&(we.push(Me(i,e,"initialize")),ve.push(e))}t.finalize instanceof Function&&(r.warn("Use of the finalize function in extensions is deprecated. Please refactor your extension to use the initialize function instead, and update the URL Metric data as soon as a change is detected rather than waiting until finalization."),be=!0)}catch(t){E(`Failed to start initializing extension '${e}':`,t)}const Se=await Promise.allSettled(we);for(const[e,t]of Se.entries())"rejected"===t.status&&E(`Failed to initialize extension '${ve[e]}':`,t.reason);if(L.aborted)return;compressionEnabled&&be&&(compressionEnabled=!1,C("URL Metric compression is disabled because one or more extensions use the deprecated finalize function.")),U("Current URL Metric:",urlMetric),dispatchDetectionEvent("url-metric-ready",{urlMetricGroupStatus:T,urlMetric:n?getRootData():void 0}),debounceCompressUrlMetric();const Le=()=>new Promise((e=>{if(L.aborted)return void e();const t=new AbortController,n=()=>{t.abort(),e()},o={signal:t.signal};L.addEventListener("abort",n,o),win.addEventListener("pagehide",n,o),win.addEventListener("pageswap",n,o),doc.addEventListener("visibilitychange",(()=>{"hidden"===doc.visibilityState&&n()}),o)})),Pe=async()=>{const n={width:win.innerWidth,height:win.innerHeight};if(isSignificantViewportResize(urlMetric.viewport,n)){U(`Viewport was resized from ${urlMetric.viewport.width}x${urlMetric.viewport.height} to ${n.width}x${n.height}, so re-targeting the URL Metric.`);const o=n.width/n.height;if(o<e||o>t)return U(`Aborting URL Metric collection since the resized viewport aspect ratio (${o}) is not in the accepted range of ${e} to ${t}.`),$("aspect-ratio-out-of-range",T),!1;const r=getGroupForViewportWidth(n.width,h);if(r.complete&&!R)return U("Aborting URL Metric collection since there is no need for URL Metrics from the resized viewport."),$("group-complete",r),!1;if(r!==T&&(T=r,D=R?null:await getAlreadySubmittedSessionStorageKey(d,m,T,P),hasAlreadySubmittedFreshUrlMetric(D,b)))return U("Aborting URL Metric collection since the current client session already submitted a fresh URL Metric for the resized viewport."),$("already-submitted",T),!1;ge(),(()=>{ie(),G.clear(),fe.clear();const e={x:win.scrollX,y:win.scrollY};for(const[t,n]of H.entries()){const o=elementsByXPath.get(n);if(o){for(const e of["layoutShiftScore","layoutShiftPreviousRect","layoutShiftCurrentRect","firstVisibleTime","maxIntersectionRatio","isVisibleBeforeInteraction"])delete o[e];t.isConnected&&(Object.assign(o,getInitialViewportIntersection(t.getBoundingClientRect(),isFixedToViewport(t)?{x:0,y:0}:e)),ce(t,o),le(t,o))}}urlMetric.viewport={width:win.innerWidth,height:win.innerHeight},urlMetric.scrollOffset=e,N=!0,ue(),me(),de()})(),F?.update(T,urlMetric)}return!0},Ue=e=>{for(const[t,o]of he.entries()){if(!(o.afterSubmit instanceof Function))continue;const r=o.name||getExtensionNameFromScriptModuleUrl(t),i=e=>{E(`Failed to run afterSubmit for extension '${t}':`,e)};try{Promise.resolve(o.afterSubmit({args:ye.get(t),...e,isDebug:n,...createLogger(n,`[Optimization Detective: ${r}]`,t)})).catch(i)}catch(e){i(e)}}},Ce="function"==typeof win.crypto?.randomUUID?win.crypto.randomUUID():null;let Ee=null,Fe=0;const $e=async(e,t)=>{const o=65536;let s=compressionEnabled&&null!==compressedPayload&&compressedJsonBody===e,c=s?compressedPayload:new Blob([e],{type:"application/json"});if(e.length>a||c.size>o){U(`URL Metric is too large to be sent (${e.length.toLocaleString()} bytes, ${c.size.toLocaleString()} bytes as payload), so it is being trimmed.`);for(const t of generateTrimmedUrlMetrics(JSON.parse(e),Re))if(!((e=JSON.stringify(t)).length>a)&&(s=!1,c=new Blob([e],{type:"application/json"}),c.size<=o))break}const l=JSON.parse(e);recursiveFreeze(l);const u={urlMetric:l,isUpdate:t,sent:!1,size:e.length,uncompressedSize:e.length,compressionRatio:null};if(e.length>a)return E(`URL Metric is ${e.length.toLocaleString()} bytes, exceeding the maximum size of ${a.toLocaleString()} bytes:`,l),Ue(u),$("url-metric-too-large",T),!1;const m=c.size/64e3*100;if(c.size>o)return E(`Unable to send URL Metric because it is ${c.size.toLocaleString()} bytes, ${Math.round(m)}% of 64 KiB limit:`,l),Ue({...u,size:c.size,compressionRatio:s?c.size/e.length:null}),$("url-metric-too-large",T),!1;if(!((e,t)=>{let o=!1;for(const[r,i]of he.entries()){if(!(i.beforeSubmit instanceof Function))continue;const s=i.name||getExtensionNameFromScriptModuleUrl(r);try{const a=i.beforeSubmit({args:ye.get(r),urlMetric:e,isUpdate:t,isDebug:n,...createLogger(n,`[Optimization Detective: ${s}]`,r)});a instanceof Promise?(C(`Extension '${s}' returned a promise from beforeSubmit, which must be synchronous, so it cannot veto the submission.`),a.catch((e=>{E(`Failed to run beforeSubmit for extension '${r}':`,e)}))):a&&!1===a.submit&&(U(`Submission of URL Metric was vetoed by extension '${s}': ${a.reason}`),o=!0)}catch(e){E(`Failed to run beforeSubmit for extension '${r}':`,e)}}return!o})(l,t))return Ue({...u,size:c.size,compressionRatio:s?c.size/e.length:null}),$("submission-vetoed",T),!1;R||(setStorageLock(getCurrentTime()),t||null===D||sessionStorage.setItem(D,String(getCurrentTime())));let h=R?"Dry run, so not sending ":"Sending ";h+=t?"URL Metric update (":"URL Metric (",h+=`${c.size.toLocaleString()} bytes`,h+=`, ${Math.round(m)}% of 64 KiB limit`,h+=s?`, gzip compressed -${Math.round((e.length-c.size)/e.length*100)}%`:", uncompressed",h+="):",m<50?U(h,l):C(h,l);const w=new URL(r);"string"==typeof i&&w.searchParams.set("_wpnonce",i),w.searchParams.set("slug",f),w.searchParams.set("current_etag",d),"number"==typeof p&&w.searchParams.set("cache_purge_post_id",p.toString()),w.searchParams.set("hmac",g),null!==Ce&&w.searchParams.set("uuid",Ce),t&&null!==Ee&&(w.searchParams.set("update","1"),w.searchParams.set("update_token",Ee));const v={"Content-Type":"application/json"};s&&(v["Content-Encoding"]="gzip");let x=null;if(win.indexedDB&&null!==Ce&&0!==b&&!R&&(x=addToOutbox({uuid:Ce,url:w.href,headers:v,body:c,timestamp:getCurrentTime(),expires:b<0?null:getCurrentTime()+1e3*b,attempts:1}).catch((e=>{C("Unable to add URL Metric to outbox:",e)}))),R)return Ue({...u,size:c.size,compressionRatio:s?c.size/e.length:null}),dispatchDetectionEvent("dry-run",{urlMetricGroupStatus:T,isUpdate:t,urlMetric:l,url:w.href,size:c.size,uncompressedSize:e.length,isCompressed:s,percentOfBudget:m}),!0;Fe++;const M=Fe,S=sendStoreRequest(w,v,c);Ue({...u,sent:!0,size:c.size,compressionRatio:s?c.size/e.length:null}),dispatchDetectionEvent("submitted",{urlMetricGroupStatus:T,isUpdate:t,size:c.size,urlMetric:n?l:void 0});try{const e=await S;if(null===e)return U("URL Metric was sent as a beacon, so no response is available."),!0;null===x||M!==Fe||isRetryableResponse(e)||(await x,await removeFromOutbox(Ce));const n=await handleStoreResponse(e,y,t?null:D,null!==x,P);e.ok&&"string"==typeof n.update_token&&(Ee=n.update_token)}catch(e){C("Failed to submit URL Metric; it will be retried on a subsequent page load if it was added to the outbox:",e)}return!0};if(await Le(),L.aborted||!await Pe())return;if(he.size>0){const e=[],t=[];for(const[o,r]of he.entries())if(r.finalize instanceof Function){const i=r.name||getExtensionNameFromScriptModuleUrl(o),s=createLogger(n,`[Optimization Detective: ${i}]`,o);try{const a=r.finalize({args:ye.get(o),isDebug:n,...s,getRootData,getElementData,extendElementData:(e,t)=>extendElementData(e,t,i),extendRootData:e=>extendRootData(e,i)});a instanceof Promise&&(e.push(a),t.push(o))}catch(e){E(`Unable to start finalizing extension '${o}':`,e)}}const o=await Promise.allSettled(e);for(const[e,n]of o.entries())"rejected"===n.status&&E(`Failed to finalize extension '${t[e]}':`,n.reason)}if(L.aborted)return;let Te=JSON.stringify(urlMetric);if(await $e(Te,!1))for(;null!==Ce;){if(await new Promise((e=>{if("visible"===doc.visibilityState||L.aborted)return void e();const t=new AbortController;L.addEventListener("abort",(()=>{t.abort(),e()}),{signal:t.signal}),doc.addEventListener("visibilitychange",(()=>{"visible"===doc.visibilityState&&(t.abort(),e())}),{signal:t.signal})})),await Le(),L.aborted||!await Pe())return;const e=JSON.stringify(urlMetric);if(e!==Te){if(!await $e(e,null!==Ee||R))return;Te=e}else U("URL Metric is unchanged since it was submitted.")}}
\ No newline at end of file
@@ -64,6 +64,70 @@ function od_get_cache_purge_post_id(): ?int {
 	return null;
 }
 
+/**
+ * Determines whether detection is a dry run, in which the URL Metric is collected but not submitted.
+ *
+ * A dry run is intended for testing the detection pipeline, including extensions, without writing to the URL Metrics
+ * store. The detection script is then printed even when every viewport group is complete, and the client ignores the
+ * group's complete status and its storage lock without setting either the storage lock or the session storage key for
+ * the URL Metric having been submitted. A dry run only happens when enabled via the `od_detection_dry_run` filter.
+ *
+ * @since n.e.x.t
+ * @access private
+ *
+ * @return bool Whether detection is a dry run.
+ */
+function od_is_detection_dry_run(): bool {
+	/**
+	 * Filters whether detection is a dry run, in which the URL Metric is collected but not submitted.
+	 *
+	 * @since n.e.x.t
+	 * @link https://github.com/WordPress/performance/blob/trunk/plugins/optimization-detective/docs/hooks.md#:~:text=Filter%3A%20od_detection_dry_run
+	 *
+	 * @param bool $is_dry_run Whether detection is a dry run.
+	 */
+	return (bool) apply_filters( 'od_detection_dry_run', false );
+}
+
+/**
+ * Normalizes the extension module URLs supplied via the `od_extension_module_urls` filter.
+ *
+ * The filter may supply a list of script module URLs, a mapping of script module URLs to the args which are passed to
+ * each extension's `initialize()` function, or a mix of both.
+ *
+ * @since n.e.x.t
+ * @access private
+ *
+ * @param array<int|string, mixed> $extension_module_urls Extension module URLs, or extension module URLs mapped to args.
+ * @return array<non-empty-string, object> Extension module URLs mapped to args.
+ */
+function od_normalize_extension_module_urls( array $extension_module_urls ): array {
+	$normalized = array();
+	foreach ( $extension_module_urls as $key => $value ) {
+		if ( is_int( $key ) && is_string( $value ) ) {
+			$url  = $value;
+			$args = array();
+		} elseif ( is_string( $key ) && is_array( $value ) ) {
+			$url  = $key;
+			$args = $value;
+		} else {
+			_doing_it_wrong(
+				esc_html( "Filter: 'od_extension_module_urls'" ),
+				esc_html__( 'Each item must either be a script module URL string or a script module URL key mapped to an array of args.', 'optimization-detective' ),
+				'Optimization Detective n.e.x.t'
+			);
+			continue;
+		}
+		if ( '' === $url ) {
+			continue;
+		}
+
+		// Cast to an object so that empty args are encoded as a JSON object rather than an array.
+		$normalized[ $url ] = (object) $args;
+	}
+	return $normalized;
+}
+
 /**
  * Prints the scripts for the detect loader.
  *
@@ -95,12 +159,44 @@ function od_get_detection_scripts( string $slug, OD_URL_Metric_Group_Collection
 	/**
 	 * Filters the list of extension script module URLs to import when performing detection.
 	 *
+	 * Instead of a URL string, an item may be supplied with the script module URL as the key and an array of args as
+	 * the value. These args are passed to the extension's `initialize()` function.
+	 *
 	 * @since 0.7.0
+	 * @since n.e.x.t Script module URLs may be mapped to args for the extension.
 	 * @link https://github.com/WordPress/performance/blob/trunk/plugins/optimization-detective/docs/hooks.md#:~:text=Filter%3A%20od_extension_module_urls
 	 *
-	 * @param string[] $extension_module_urls Extension module URLs.
+	 * @param array<int|string, string|array<string, mixed>> $extension_module_urls Extension module URLs, or extension module URLs mapped to args.
 	 */
-	$extension_module_urls = (array) apply_filters( 'od_extension_module_urls', array() );
+	$extension_module_urls = od_normalize_extension_module_urls( (array) apply_filters( 'od_extension_module_urls', array() ) );
+
+	/**
+	 * Filters whether detection should observe breadcrumbed elements which are inserted into the page after the initial intersection pass.
+	 *
+	 * When enabled, elements with a `data-od-xpath` attribute which are inserted into the page (e.g. via client-side
+	 * hydration) are observed until the LCP is finalized or the page is first scrolled, and they are then included in
+	 * the URL Metric's elements.
+	 *
+	 * @since n.e.x.t
+	 * @link https://github.com/WordPress/performance/blob/trunk/plugins/optimization-detective/docs/hooks.md#:~:text=Filter%3A%20od_observe_inserted_elements
+	 *
+	 * @param bool $observe_inserted_elements Whether to observe inserted elements.
+	 */
+	$observe_inserted_elements = (bool) apply_filters( 'od_observe_inserted_elements', false );
+
+	/**
+	 * Filters whether detection should collect the worst long animation frames along with the scripts which caused them.
+	 *
+	 * When enabled, the Long Animation Frames API (where supported) is used to record the worst frames up to the time of
+	 * submission, with the scripts which ran during them aggregated by URL. This allows identifying scripts which harm
+	 * responsiveness, for example so that they can be delayed.
+	 *
+	 * @since n.e.x.t
+	 * @link https://github.com/WordPress/performance/blob/trunk/plugins/optimization-detective/docs/hooks.md#:~:text=Filter%3A%20od_collect_long_animation_frames
+	 *
+	 * @param bool $collect_long_animation_frames Whether to collect long animation frames.
+	 */
+	$collect_long_animation_frames = (bool) apply_filters( 'od_collect_long_animation_frames', false );
 
 	$cache_purge_post_id = od_get_cache_purge_post_id();
 	$current_url         = od_get_current_url();
@@ -122,37 +218,68 @@ function od_get_detection_scripts( string $slug, OD_URL_Metric_Group_Collection
 	);
 
 	$detect_args = array(
-		'minViewportAspectRatio' => od_get_minimum_viewport_aspect_ratio(),
-		'maxViewportAspectRatio' => od_get_maximum_viewport_aspect_ratio(),
-		'isDebug'                => WP_DEBUG,
-		'extensionModuleUrls'    => $extension_module_urls,
-		'restApiEndpoint'        => rest_url( OD_REST_URL_Metrics_Store_Endpoint::ROUTE_NAMESPACE . OD_REST_URL_Metrics_Store_Endpoint::ROUTE_BASE ),
-		'currentETag'            => $current_etag,
-		'currentUrl'             => $current_url,
-		'urlMetricSlug'          => $slug,
-		'cachePurgePostId'       => od_get_cache_purge_post_id(),
-		'urlMetricHMAC'          => od_get_url_metrics_storage_hmac( $slug, $current_etag, $current_url, $cache_purge_post_id ),
-		'urlMetricGroupStatuses' => array_map(
+		'minViewportAspectRatio'     => od_get_minimum_viewport_aspect_ratio(),
+		'maxViewportAspectRatio'     => od_get_maximum_viewport_aspect_ratio(),
+		'isDebug'                    => WP_DEBUG,
+		'isDryRun'                   => od_is_detection_dry_run(),
+		'extensionModuleUrls'        => (object) $extension_module_urls,
+		'restApiEndpoint'            => rest_url( OD_REST_URL_Metrics_Store_Endpoint::ROUTE_NAMESPACE . OD_REST_URL_Metrics_Store_Endpoint::ROUTE_BASE ),
+		'currentETag'                => $current_etag,
+		'currentUrl'                 => $current_url,
+		'urlMetricSlug'              => $slug,
+		'cachePurgePostId'           => od_get_cache_purge_post_id(),
+		'urlMetricHMAC'              => od_get_url_metrics_storage_hmac( $slug, $current_etag, $current_url, $cache_purge_post_id ),
+		'urlMetricGroupStatuses'     => array_map(
 			static function ( OD_URL_Metric_Group $group ): array {
 				return array(
 					'minimumViewportWidth' => $group->get_minimum_viewport_width(), // Exclusive.
 					'maximumViewportWidth' => $group->get_maximum_viewport_width(), // Inclusive.
 					'complete'             => $group->is_complete(),
+					'samplingRate'         => od_get_url_metric_group_sampling_rate( $group ),
 				);
 			},
 			iterator_to_array( $group_collection )
 		),
-		'storageLockTTL'         => OD_Storage_Lock::get_ttl(),
-		'freshnessTTL'           => od_get_url_metric_freshness_ttl(),
-		'webVitalsLibrarySrc'    => $web_vitals_lib_src,
-		'gzdecodeAvailable'      => $gzdecode_available,
-		'maxUrlMetricSize'       => od_get_maximum_url_metric_size(),
+		'storageLockTTL'             => OD_Storage_Lock::get_ttl(),
+		'freshnessTTL'               => od_get_url_metric_freshness_ttl(),
+		'webVitalsLibrarySrc'        => $web_vitals_lib_src,
+		'gzdecodeAvailable'          => $gzdecode_available,
+		'maxUrlMetricSize'           => od_get_maximum_url_metric_size(),
+		'observeInsertedElements'    => $observe_inserted_elements,
+		'collectLongAnimationFrames' => $collect_long_animation_frames,
+		'extensionInitializeTimeout' => od_get_extension_initialize_timeout(),
 	);
 	if ( is_user_logged_in() ) {
 		$detect_args['restApiNonce'] = wp_create_nonce( 'wp_rest' );
 	}
 	if ( WP_DEBUG ) {
 		$detect_args['urlMetricGroupCollection'] = $group_collection;
+
+		// Supply the schema so that data added by extensions can be validated on the client, since otherwise an invalid
+		// property is only discovered when the REST API rejects the entire URL Metric after the page has been hidden.
+		$url_metric_schema              = OD_Strict_URL_Metric::get_json_schema();
+		$detect_args['urlMetricSchema'] = array(
+			'root'    => $url_metric_schema['properties'] ?? array(),
+			'element' => $url_metric_schema['properties']['elements']['items']['properties'] ?? array(),
+		);
+
+		/**
+		 * Filters whether to show the debug overlay which visualizes the detection results on the page.
+		 *
+		 * The overlay is only available when `WP_DEBUG` is enabled. It outlines each breadcrumbed element with its XPath,
+		 * highlights the LCP element and LCP candidates, and shows the current viewport group along with its stored URL Metrics.
+		 *
+		 * @since n.e.x.t
+		 * @link https://github.com/WordPress/performance/blob/trunk/plugins/optimization-detective/docs/hooks.md#:~:text=Filter%3A%20od_show_debug_overlay
+		 *
+		 * @param bool $show_debug_overlay Whether to show the debug overlay.
+		 */
+		if ( (bool) apply_filters( 'od_show_debug_overlay', false ) ) {
+			$detect_args['debugOverlaySrc'] = add_query_arg(
+				array( 'ver' => OPTIMIZATION_DETECTIVE_VERSION ),
+				plugins_url( od_get_asset_path( 'debug-overlay.js' ), __FILE__ )
+			);
+		}
 	}
 
 	$json_flags = JSON_HEX_TAG | JSON_UNESCAPED_SLASHES;
@@ -266,7 +266,7 @@ function od_optimize_template_output_buffer( string $buffer ): string {
 	$visitors             = iterator_to_array( $tag_visitor_registry );
 
 	// Whether we need to add the data-od-xpath attribute to elements and whether the detection script should be injected.
-	$needs_detection          = ! $group_collection->is_every_group_complete();
+	$needs_detection          = ! $group_collection->is_every_group_complete() || od_is_detection_dry_run();
 	$did_amend_meta_generator = false;
 	do {
 		// Never process anything inside NOSCRIPT since it will never show up in the DOM when scripting is enabled, and thus it can never be detected nor measured.
@@ -79,6 +79,24 @@ final class OD_REST_URL_Metrics_Store_Endpoint {
 				'required'    => false,
 				'minimum'     => 1,
 			),
+			'uuid'                => array(
+				'type'        => 'string',
+				'description' => __( 'UUID generated by the client for the URL Metric, which prevents the URL Metric from being stored more than once when a submission is retried.', 'optimization-detective' ),
+				'required'    => false,
+				'format'      => 'uuid',
+			),
+			'update'              => array(
+				'type'        => 'boolean',
+				'description' => __( 'Whether the URL Metric replaces a URL Metric previously submitted by the client with the same UUID, as happens when the client submits more data after the page becomes visible again.', 'optimization-detective' ),
+				'required'    => false,
+				'default'     => false,
+			),
+			'update_token'        => array(
+				'type'        => 'string',
+				'description' => __( 'Token returned by the server when the URL Metric was first stored, which is required to authorize an update to it.', 'optimization-detective' ),
+				'required'    => false,
+				'pattern'     => '^[0-9a-f]+\z',
+			),
 			'hmac'                => array(
 				'type'              => 'string',
 				'description'       => __( 'HMAC originally computed by server required to authorize the request.', 'optimization-detective' ),
@@ -107,24 +125,82 @@ final class OD_REST_URL_Metrics_Store_Endpoint {
 	/**
 	 * Checks if a given request has access to store URL Metrics.
 	 *
+	 * Requests to update a previously-submitted URL Metric must supply the token which was returned when the URL Metric
+	 * was first stored. Such updates are exempt from the storage lock, since the lock was set by the initial submission
+	 * from the same client, and an update replaces the stored URL Metric rather than adding another one to the sample.
+	 *
 	 * @since 1.0.0
+	 * @since n.e.x.t Updates to a previously-submitted URL Metric require the update token returned when it was stored, and they are exempt from the storage lock.
 	 * @access private
 	 *
+	 * @phpstan-param WP_REST_Request<array<string, mixed>> $request
+	 *
+	 * @param WP_REST_Request $request Request.
 	 * @return true|WP_Error True if the request has permission, WP_Error object otherwise.
 	 */
-	public function store_permissions_check() {
+	public function store_permissions_check( WP_REST_Request $request ) {
 
 		// Needs to be available to unauthenticated visitors.
+		if ( true === $request->get_param( 'update' ) ) {
+			if ( ! self::is_update_request( $request ) ) {
+				return new WP_Error(
+					'invalid_update_token',
+					__( 'URL Metric update token verification failure.', 'optimization-detective' ),
+					array( 'status' => 403 )
+				);
+			}
+			return true;
+		}
 		if ( OD_Storage_Lock::is_locked() ) {
-			return new WP_Error(
-				'url_metric_storage_locked',
-				__( 'URL Metric storage is presently locked for the current IP.', 'optimization-detective' ),
-				array( 'status' => 423 )
-			);
+			return self::get_storage_locked_error();
 		}
 		return true;
 	}
 
+	/**
+	 * Determines whether the request is an authorized update of a previously-submitted URL Metric.
+	 *
+	 * @since n.e.x.t
+	 * @access private
+	 *
+	 * @phpstan-param WP_REST_Request<array<string, mixed>> $request
+	 *
+	 * @param WP_REST_Request $request Request.
+	 * @return bool Whether the request is an update with a valid update token.
+	 */
+	private static function is_update_request( WP_REST_Request $request ): bool {
+		$uuid  = $request->get_param( 'uuid' );
+		$token = $request->get_param( 'update_token' );
+		return (
+			true === $request->get_param( 'update' ) &&
+			is_string( $uuid ) &&
+			'' !== $uuid &&
+			is_string( $token ) &&
+			od_verify_url_metric_update_token( $token, $request->get_param( 'slug' ), $uuid )
+		);
+	}
+
+	/**
+	 * Gets the error for when URL Metric storage is locked.
+	 *
+	 * This is also used when rejecting an update for a URL Metric which is no longer stored.
+	 *
+	 * @since n.e.x.t
+	 * @access private
+	 *
+	 * @return WP_Error Error.
+	 */
+	public static function get_storage_locked_error(): WP_Error {
+		return new WP_Error(
+			'url_metric_storage_locked',
+			__( 'URL Metric storage is presently locked for the current IP.', 'optimization-detective' ),
+			array(
+				'status'           => 423,
+				'storage_lock_ttl' => OD_Storage_Lock::get_remaining_ttl(),
+			)
+		);
+	}
+
 	/**
 	 * Determines if the HTTP origin is authorized.
 	 *
@@ -167,10 +243,43 @@ final class OD_REST_URL_Metrics_Store_Endpoint {
 			);
 		}
 
-		$post = OD_URL_Metrics_Post_Type::get_post( $request->get_param( 'slug' ) );
+		$post        = OD_URL_Metrics_Post_Type::get_post( $request->get_param( 'slug' ) );
+		$url_metrics = $post instanceof WP_Post ? OD_URL_Metrics_Post_Type::get_url_metrics_from_post( $post ) : array();
+
+		// Look for a URL Metric previously stored with the UUID supplied by the client.
+		$uuid                = $request->get_param( 'uuid' );
+		$replaced_url_metric = null;
+		if ( is_string( $uuid ) ) {
+			foreach ( $url_metrics as $i => $stored_url_metric ) {
+				if ( $stored_url_metric->get_uuid() !== $uuid ) {
+					continue;
+				}
+
+				// Skip storing a URL Metric which was already stored, as happens when a client retries a submission for which it never received the response.
+				if ( ! self::is_update_request( $request ) ) {
+					return new WP_REST_Response(
+						array(
+							'success'          => true,
+							'storage_lock_ttl' => OD_Storage_Lock::get_remaining_ttl(),
+							'update_token'     => od_get_url_metric_update_token( $request->get_param( 'slug' ), $uuid ), // So the client can still submit an update to the URL Metric.
+						)
+					);
+				}
+
+				// Otherwise, the client is submitting more data for the same page visit, so the stored URL Metric is replaced.
+				$replaced_url_metric = $stored_url_metric;
+				unset( $url_metrics[ $i ] );
+				break;
+			}
+		}
+
+		// An update for a URL Metric which is no longer stored (e.g. since it was purged) would add a new URL Metric, so it is subject to the storage lock after all.
+		if ( null === $replaced_url_metric && true === $request->get_param( 'update' ) && OD_Storage_Lock::is_locked() ) {
+			return self::get_storage_locked_error();
+		}
 
 		$url_metric_group_collection = new OD_URL_Metric_Group_Collection(
-			$post instanceof WP_Post ? OD_URL_Metrics_Post_Type::get_url_metrics_from_post( $post ) : array(),
+			array_values( $url_metrics ),
 			$request->get_param( 'current_etag' ),
 			od_get_breakpoint_max_widths(),
 			od_get_url_metrics_breakpoint_sample_size(),
@@ -203,6 +312,7 @@ final class OD_REST_URL_Metrics_Store_Endpoint {
 			);
 		}
 
+		// Replacing a URL Metric also sets the storage lock, so that the client does not submit another new URL Metric right after updating one.
 		OD_Storage_Lock::set_lock();
 
 		try {
@@ -212,13 +322,22 @@ final class OD_REST_URL_Metrics_Store_Endpoint {
 					$data,
 					array(
 						// Now supply the readonly args which were omitted from the REST API params due to being `readonly`.
-						'timestamp' => microtime( true ),
-						'uuid'      => wp_generate_uuid4(),
+						// When replacing a URL Metric, its timestamp is retained since the data is from the same page visit.
+						'timestamp' => null !== $replaced_url_metric ? $replaced_url_metric->get_timestamp() : microtime( true ),
+						'uuid'      => is_string( $uuid ) ? $uuid : wp_generate_uuid4(),
 						'etag'      => $request->get_param( 'current_etag' ),
 					)
 				)
 			);
 		} catch ( OD_Data_Validation_Exception $e ) {
+			$error_data = array( 'status' => 400 );
+
+			// Supply the invalid property in the same way as core does for REST API params which fail validation.
+			$param = $e->get_param();
+			if ( null !== $param ) {
+				$error_data['params'] = array( $param => $e->getMessage() );
+			}
+
 			return new WP_Error(
 				'rest_invalid_param',
 				sprintf(
@@ -226,7 +345,7 @@ final class OD_REST_URL_Metrics_Store_Endpoint {
 					__( 'Failed to validate URL Metric: %s', 'optimization-detective' ),
 					$e->getMessage()
 				),
-				array( 'status' => 400 )
+				$error_data
 			);
 		}
 
@@ -304,7 +423,9 @@ final class OD_REST_URL_Metrics_Store_Endpoint {
 
 		return new WP_REST_Response(
 			array(
-				'success' => true,
+				'success'          => true,
+				'storage_lock_ttl' => OD_Storage_Lock::get_remaining_ttl(), // So the client can align its storage lock with the server's.
+				'update_token'     => od_get_url_metric_update_token( $request->get_param( 'slug' ), $url_metric->get_uuid() ), // So the client can submit an update to the URL Metric.
 			)
 		);
 	}
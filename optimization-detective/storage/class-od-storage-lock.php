@@ -114,6 +114,25 @@ final class OD_Storage_Lock {
 		}
 	}
 
+	/**
+	 * Gets the remaining time (in seconds) until the URL Metric storage lock is released (for the current IP).
+	 *
+	 * @since n.e.x.t
+	 *
+	 * @return int<0, max> Remaining seconds, or zero if storage is not locked.
+	 */
+	public static function get_remaining_ttl(): int {
+		$ttl = self::get_ttl();
+		if ( 0 === $ttl ) {
+			return 0;
+		}
+		$locked_time = get_transient( self::get_transient_key() );
+		if ( false === $locked_time ) {
+			return 0;
+		}
+		return max( 0, (int) ceil( $ttl - ( microtime( true ) - floatval( $locked_time ) ) ) );
+	}
+
 	/**
 	 * Checks whether URL Metric storage is locked (for the current IP).
 	 *
@@ -294,6 +294,51 @@ function od_verify_url_metrics_storage_hmac( string $hmac, string $slug, string
 	return hash_equals( od_get_url_metrics_storage_hmac( $slug, $current_etag, $url, $cache_purge_post_id ), $hmac );
 }
 
+/**
+ * Computes the token for updating a previously-stored URL Metric.
+ *
+ * This token is returned in the response when a URL Metric is first stored, and it must be supplied when the client
+ * submits an update to it. This ensures that only the client which stored a URL Metric can replace it, since the UUID
+ * alone is chosen by the client and may be exposed (e.g. in the URL Metrics printed in debug mode).
+ *
+ * @since n.e.x.t
+ * @access private
+ *
+ * @see od_verify_url_metric_update_token()
+ *
+ * @param non-empty-string $slug Slug (hash of normalized query vars).
+ * @param non-empty-string $uuid UUID for the URL Metric.
+ * @return non-empty-string Token.
+ */
+function od_get_url_metric_update_token( string $slug, string $uuid ): string {
+	$action = "update_url_metric:$slug:$uuid";
+
+	/**
+	 * Token.
+	 *
+	 * @var non-empty-string $token
+	 */
+	$token = wp_hash( $action, 'nonce' );
+	return $token;
+}
+
+/**
+ * Verifies the token for updating a previously-stored URL Metric.
+ *
+ * @since n.e.x.t
+ * @access private
+ *
+ * @see od_get_url_metric_update_token()
+ *
+ * @param string           $token Token.
+ * @param non-empty-string $slug  Slug (hash of normalized query vars).
+ * @param non-empty-string $uuid  UUID for the URL Metric.
+ * @return bool Whether the token is valid.
+ */
+function od_verify_url_metric_update_token( string $token, string $slug, string $uuid ): bool {
+	return '' !== $token && hash_equals( od_get_url_metric_update_token( $slug, $uuid ), $token );
+}
+
 /**
  * Gets the minimum allowed viewport aspect ratio for URL Metrics.
  *
@@ -475,3 +520,133 @@ function od_get_maximum_url_metric_size(): int {
 	}
 	return $size;
 }
+
+/**
+ * Gets the time in milliseconds to wait for each extension to finish initializing during detection.
+ *
+ * This is also the time to wait for each extension's beforeSubmit function when the URL Metric is about to be submitted.
+ *
+ * @since n.e.x.t
+ * @access private
+ *
+ * @return int<0, max> Initialize timeout in milliseconds.
+ */
+function od_get_extension_initialize_timeout(): int {
+	/**
+	 * Filters the time in milliseconds to wait for each extension to finish initializing during detection.
+	 *
+	 * @since n.e.x.t
+	 * @link https://github.com/WordPress/performance/blob/trunk/plugins/optimization-detective/docs/hooks.md#:~:text=Filter%3A%20od_extension_initialize_timeout
+	 *
+	 * @param int $timeout Initialize timeout in milliseconds.
+	 */
+	$timeout = (int) apply_filters( 'od_extension_initialize_timeout', 5000 );
+	if ( $timeout < 0 ) {
+		_doing_it_wrong(
+			esc_html( "Filter: 'od_extension_initialize_timeout'" ),
+			esc_html(
+				sprintf(
+					/* translators: %s: timeout */
+					__( 'Invalid timeout "%s". Must be zero or greater.', 'optimization-detective' ),
+					$timeout
+				)
+			),
+			'Optimization Detective n.e.x.t'
+		);
+		$timeout = 5000;
+	}
+	return $timeout;
+}
+
+/**
+ * Normalizes a sampling rate to be between zero and one.
+ *
+ * @since n.e.x.t
+ * @access private
+ *
+ * @param float  $rate        Sampling rate.
+ * @param string $filter_name Filter name used to supply the sampling rate.
+ * @return float Normalized sampling rate.
+ */
+function od_normalize_sampling_rate( float $rate, string $filter_name ): float {
+	if ( $rate < 0.0 || $rate > 1.0 ) {
+		_doing_it_wrong(
+			esc_html( "Filter: '$filter_name'" ),
+			esc_html(
+				sprintf(
+					/* translators: %s: sampling rate */
+					__( 'Invalid sampling rate "%s". Must be between 0 and 1.', 'optimization-detective' ),
+					$rate
+				)
+			),
+			'Optimization Detective n.e.x.t'
+		);
+		$rate = max( 0.0, min( 1.0, $rate ) );
+	}
+	return $rate;
+}
+
+/**
+ * Gets the rate at which clients are sampled for collecting URL Metrics.
+ *
+ * @since n.e.x.t
+ * @access private
+ *
+ * @return float Sampling rate between 0 and 1.
+ */
+function od_get_url_metric_sampling_rate(): float {
+	/**
+	 * Filters the rate at which clients are sampled for collecting URL Metrics.
+	 *
+	 * @since n.e.x.t
+	 * @link https://github.com/WordPress/performance/blob/trunk/plugins/optimization-detective/docs/hooks.md#:~:text=Filter%3A%20od_url_metric_sampling_rate
+	 *
+	 * @param float $rate Sampling rate between 0 and 1. Defaults to 1, meaning every client is sampled.
+	 */
+	$rate = (float) apply_filters( 'od_url_metric_sampling_rate', 1.0 );
+	return od_normalize_sampling_rate( $rate, 'od_url_metric_sampling_rate' );
+}
+
+/**
+ * Gets the rate at which clients are sampled for collecting URL Metrics for a viewport group.
+ *
+ * The overall sampling rate is adapted so that it rises as the oldest URL Metric in the group nears the expiration of
+ * the freshness TTL. Over the final quarter of the TTL, the rate is increased linearly up to 1, so that the group is
+ * populated with new URL Metrics before the existing ones become stale.
+ *
+ * @since n.e.x.t
+ * @access private
+ *
+ * @param OD_URL_Metric_Group $group URL Metric group.
+ * @return float Sampling rate between 0 and 1.
+ */
+function od_get_url_metric_group_sampling_rate( OD_URL_Metric_Group $group ): float {
+	$rate          = od_get_url_metric_sampling_rate();
+	$freshness_ttl = $group->get_freshness_ttl();
+	if ( $rate < 1.0 && $freshness_ttl > 0 && count( $group ) > 0 ) {
+		$oldest_timestamp = min(
+			array_map(
+				static function ( OD_URL_Metric $url_metric ): float {
+					return $url_metric->get_timestamp();
+				},
+				iterator_to_array( $group )
+			)
+		);
+
+		$age_ratio = ( microtime( true ) - $oldest_timestamp ) / $freshness_ttl;
+		$urgency   = max( 0.0, min( 1.0, ( $age_ratio - 0.75 ) / 0.25 ) );
+		$rate     += ( 1.0 - $rate ) * $urgency;
+	}
+
+	/**
+	 * Filters the rate at which clients are sampled for collecting URL Metrics for a viewport group.
+	 *
+	 * @since n.e.x.t
+	 * @link https://github.com/WordPress/performance/blob/trunk/plugins/optimization-detective/docs/hooks.md#:~:text=Filter%3A%20od_url_metric_group_sampling_rate
+	 *
+	 * @param float               $rate  Sampling rate between 0 and 1, which is the overall sampling rate adapted for the freshness of the group.
+	 * @param OD_URL_Metric_Group $group URL Metric group.
+	 */
+	$rate = (float) apply_filters( 'od_url_metric_group_sampling_rate', $rate, $group );
+	return od_normalize_sampling_rate( $rate, 'od_url_metric_group_sampling_rate' );
+}
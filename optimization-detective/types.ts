@@ -10,6 +10,15 @@ import {
 	onTTFB as onTTFBWithAttribution,
 } from 'web-vitals/attribution';
 
+export interface ElementImageData {
+	currentSrc: string;
+	naturalWidth: number;
+	naturalHeight: number;
+	renderedWidth: number;
+	renderedHeight: number;
+	devicePixelRatio: number;
+}
+
 export interface ElementData {
 	isLCP: boolean;
 	isLCPCandidate: boolean;
@@ -17,17 +26,87 @@ export interface ElementData {
 	intersectionRatio: number;
 	intersectionRect: DOMRectReadOnly;
 	boundingClientRect: DOMRectReadOnly;
+	layoutShiftScore?: number;
+	layoutShiftPreviousRect?: DOMRectReadOnly;
+	layoutShiftCurrentRect?: DOMRectReadOnly;
+	backgroundImageUrls?: string[];
+	isBackgroundImageLCP?: boolean;
+	firstVisibleTime?: number | null;
+	maxIntersectionRatio?: number;
+	isVisibleBeforeInteraction?: boolean;
+	image?: ElementImageData;
 }
 
 export type ExtendedElementData = ExcludeProps< ElementData >;
 
+export interface LCPData {
+	value: number;
+	timeToFirstByte: number;
+	resourceLoadDelay: number;
+	resourceLoadDuration: number;
+	elementRenderDelay: number;
+	url: string | null;
+	initiatorType: string | null;
+	isPreloaded: boolean;
+}
+
+export interface ScrollOffset {
+	x: number;
+	y: number;
+}
+
+export interface DeviceData {
+	pixelRatio: number;
+	memory?: number;
+	hardwareConcurrency?: number;
+	prefersReducedMotion: boolean;
+	prefersColorScheme: 'light' | 'dark';
+}
+
+export interface NetworkData {
+	effectiveType?: 'slow-2g' | '2g' | '3g' | '4g';
+	saveData?: boolean;
+}
+
+export interface FontData {
+	family: string;
+	weight: string;
+	style: string;
+	url: string | null;
+	blockedTextRendering: boolean;
+}
+
+export interface LongAnimationFrameScriptData {
+	url: string;
+	invokerTypes: string[];
+	count: number;
+	duration: number;
+}
+
+export interface LongAnimationFrameData {
+	count: number;
+	frames: Array< {
+		startTime: number;
+		duration: number;
+		blockingDuration: number;
+	} >;
+	scripts: LongAnimationFrameScriptData[];
+}
+
 export interface URLMetric {
 	url: string;
 	viewport: {
 		width: number;
 		height: number;
 	};
+	scrollOffset?: ScrollOffset;
+	device: DeviceData;
+	network: NetworkData;
 	elements: ElementData[];
+	lcp?: LCPData;
+	truncated?: boolean;
+	fonts?: FontData[];
+	longAnimationFrames?: LongAnimationFrameData;
 }
 
 export type ExtendedRootData = ExcludeProps< URLMetric >;
@@ -36,6 +115,83 @@ export interface URLMetricGroupStatus {
 	minimumViewportWidth: number;
 	maximumViewportWidth: number | null;
 	complete: boolean;
+	samplingRate: number;
+}
+
+export interface URLMetricSchema {
+	root: Record< string, Record< string, any > >;
+	element: Record< string, Record< string, any > >;
+}
+
+export interface DebugOverlay {
+	update: (
+		urlMetricGroupStatus: URLMetricGroupStatus,
+		urlMetric: URLMetric | null
+	) => void;
+	remove: () => void;
+}
+
+export type DetectionAbortReason =
+	| 'save-data'
+	| 'not-sampled'
+	| 'zero-viewport'
+	| 'page-hidden'
+	| 'group-complete'
+	| 'already-submitted'
+	| 'aspect-ratio-out-of-range'
+	| 'storage-locked'
+	| 'url-metric-too-large'
+	| 'submission-vetoed';
+
+export interface DetectionStartedEventDetail {
+	readonly urlMetricGroupStatus: URLMetricGroupStatus;
+}
+
+export interface DetectionAbortedEventDetail {
+	readonly reason: DetectionAbortReason;
+	readonly urlMetricGroupStatus: URLMetricGroupStatus | null;
+}
+
+export interface URLMetricReadyEventDetail {
+	readonly urlMetricGroupStatus: URLMetricGroupStatus;
+	readonly urlMetric?: URLMetric; // Only in debug mode.
+}
+
+export interface URLMetricSubmittedEventDetail {
+	readonly urlMetricGroupStatus: URLMetricGroupStatus;
+	readonly isUpdate: boolean;
+	readonly size: number;
+	readonly urlMetric?: URLMetric; // Only in debug mode.
+}
+
+export interface DryRunEventDetail {
+	readonly urlMetricGroupStatus: URLMetricGroupStatus;
+	readonly isUpdate: boolean;
+	readonly urlMetric: URLMetric;
+	readonly url: string;
+	readonly size: number;
+	readonly uncompressedSize: number;
+	readonly isCompressed: boolean;
+	readonly percentOfBudget: number;
+}
+
+export interface DetectionEventDetailMap {
+	started: DetectionStartedEventDetail;
+	aborted: DetectionAbortedEventDetail;
+	'url-metric-ready': URLMetricReadyEventDetail;
+	submitted: URLMetricSubmittedEventDetail;
+	'dry-run': DryRunEventDetail;
+}
+
+export type DetectionEventType = keyof DetectionEventDetailMap;
+
+export type DetectionOutcome =
+	| ( { readonly status: 'aborted' } & DetectionAbortedEventDetail )
+	| ( { readonly status: 'submitted' } & URLMetricSubmittedEventDetail )
+	| ( { readonly status: 'dry-run' } & DryRunEventDetail );
+
+export interface DetectionStatus {
+	readonly outcome: Promise< DetectionOutcome >;
 }
 
 export type OnTTFBFunction = typeof onTTFB;
@@ -66,7 +222,12 @@ export type ExtendElementDataFunction = (
 	properties: ExtendedElementData
 ) => void;
 
-export type InitializeArgs = {
+export type ExtensionArgs = Record< string, any >;
+
+export type ExtensionModuleUrls = string[] | Record< string, ExtensionArgs >;
+
+export type InitializeArgs< T extends ExtensionArgs = ExtensionArgs > = {
+	readonly args: T;
 	readonly isDebug: boolean;
 	readonly log: LogFunction;
 	readonly info: LogFunction;
@@ -83,9 +244,12 @@ export type InitializeArgs = {
 	readonly extendElementData: ExtendElementDataFunction;
 };
 
-export type InitializeCallback = ( args: InitializeArgs ) => Promise< void >;
+export type InitializeCallback< T extends ExtensionArgs = ExtensionArgs > = (
+	args: InitializeArgs< T >
+) => Promise< void >;
 
-export type FinalizeArgs = {
+export type FinalizeArgs< T extends ExtensionArgs = ExtensionArgs > = {
+	readonly args: T;
 	readonly getRootData: GetRootDataFunction;
 	readonly extendRootData: ExtendRootDataFunction;
 	readonly getElementData: GetElementDataFunction;
@@ -97,10 +261,55 @@ export type FinalizeArgs = {
 	readonly error: LogFunction;
 };
 
-export type FinalizeCallback = ( args: FinalizeArgs ) => Promise< void >;
+export type FinalizeCallback< T extends ExtensionArgs = ExtensionArgs > = (
+	args: FinalizeArgs< T >
+) => Promise< void >;
+
+export type BeforeSubmitArgs< T extends ExtensionArgs = ExtensionArgs > = {
+	readonly args: T;
+	readonly urlMetric: URLMetric;
+	readonly isUpdate: boolean;
+	readonly isDebug: boolean;
+	readonly log: LogFunction;
+	readonly info: LogFunction;
+	readonly warn: LogFunction;
+	readonly error: LogFunction;
+};
+
+export type BeforeSubmitResult = {
+	readonly submit: false;
+	readonly reason: string;
+} | void;
+
+// This must be synchronous since it is called while the page is being hidden, when the page may be unloaded before a promise settles.
+export type BeforeSubmitCallback< T extends ExtensionArgs = ExtensionArgs > = (
+	args: BeforeSubmitArgs< T >
+) => BeforeSubmitResult;
+
+export type AfterSubmitArgs< T extends ExtensionArgs = ExtensionArgs > = {
+	readonly args: T;
+	readonly urlMetric: URLMetric;
+	readonly isUpdate: boolean;
+	readonly sent: boolean;
+	readonly size: number;
+	readonly uncompressedSize: number;
+	readonly compressionRatio: number | null;
+	readonly isDebug: boolean;
+	readonly log: LogFunction;
+	readonly info: LogFunction;
+	readonly warn: LogFunction;
+	readonly error: LogFunction;
+};
+
+export type AfterSubmitCallback< T extends ExtensionArgs = ExtensionArgs > = (
+	args: AfterSubmitArgs< T >
+) => void | Promise< void >;
 
 export interface Extension {
 	readonly name?: string;
 	readonly initialize?: InitializeCallback;
 	readonly finalize?: FinalizeCallback;
+	readonly beforeSubmit?: BeforeSubmitCallback;
+	readonly afterSubmit?: AfterSubmitCallback;
+	readonly trimPriorities?: Record< string, number >;
 }